@@ -0,0 +1,100 @@
+/**
+ * Handles collisions between the definitions contributed by the app and its hooks, according to
+ * the conflict strategies configured under `sails.config.barmecide.conflicts`.
+ */
+module.exports = {
+
+    /**
+     * All supported conflict strategies.
+     */
+    STRATEGIES: ['error', 'warn', 'app-wins', 'hook-wins', 'deep-merge'],
+
+    /**
+     * The strategy used for each category of definition, where none has been configured. Models and
+     * services keep the historical deep-merge behaviour, while colliding actions (which can't be merged)
+     * are reported, with the existing action being kept.
+     */
+    DEFAULT_STRATEGIES: {
+        models: 'deep-merge',
+        services: 'deep-merge',
+        actions: 'warn',
+    },
+
+    /**
+     * Retrieves the configured conflict strategy for the given category. The strategy may be configured
+     * either as a single string applying to all categories, or as an object keyed by category:
+     *
+     * ```js
+     * module.exports.barmecide = {
+     *     conflicts: { models: 'error', services: 'hook-wins' },
+     * };
+     * ```
+     *
+     * @param {Object} sails - The Sails instance whose configuration should be checked.
+     * @param {string} category - The category of definition ('models', 'services' or 'actions').
+     *
+     * @returns {string} The conflict strategy to use.
+     *
+     * @throws {Error} If an unknown strategy has been configured.
+     */
+    getStrategy(sails, category) {
+        const config = (sails.config.barmecide instanceof Object) ? sails.config.barmecide.conflicts : undefined;
+        const strategy = (config instanceof Object) ? config[category] : config;
+
+        // Fallback to our defaults if nothing has been configured.
+        if (strategy === undefined) {
+            return this.DEFAULT_STRATEGIES[category];
+        }
+
+        // Leave with an error if the configured strategy is nonsense.
+        if (!this.STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid conflict strategy "${strategy}" configured for ${category}. Expected one of: ${this.STRATEGIES.join(', ')}.`);
+        }
+
+        return strategy;
+    },
+
+    /**
+     * Decides how a colliding definition should be handled, per the configured strategy for the given
+     * category. This may throw or log a warning, depending on the strategy.
+     *
+     * The resulting decision is one of:
+     * - `'keep'`: the existing definition should be kept, discarding the incoming one.
+     * - `'replace'`: the incoming definition should replace the existing one.
+     * - `'merge'`: the two definitions should be deep-merged (incoming values taking precedence).
+     *
+     * Actions can't be merged, so for actions `'merge'` is never returned, with the existing action
+     * being kept instead.
+     *
+     * @param {Object} sails - The Sails instance the definitions belong to.
+     * @param {string} category - The category of definition ('models', 'services' or 'actions').
+     * @param {string} subject - A human-readable description of the colliding item, used in messages.
+     * @param {string} existingSource - The contributor of the existing definition ('app' or a hook name).
+     * @param {string} incomingSource - The contributor of the incoming definition.
+     *
+     * @returns {string} The decision made: `'keep'`, `'replace'` or `'merge'`.
+     *
+     * @throws {Error} If the configured strategy is `'error'`.
+     */
+    resolve(sails, category, subject, existingSource, incomingSource) {
+        const strategy = this.getStrategy(sails, category);
+        const mergeDecision = (category === 'actions') ? 'keep' : 'merge';
+        const message = `${subject} is provided by both "${existingSource}" and "${incomingSource}".`;
+
+        switch (strategy) {
+            case 'error':
+                throw new Error(`${message} (Conflict strategy for ${category} is "error".)`);
+            case 'warn':
+                sails.barmecide.warn(incomingSource, message);
+                return mergeDecision;
+            // Between two hooks, app-wins keeps the first definition, while hook-wins keeps the last.
+            case 'app-wins':
+                return (incomingSource === 'app') ? 'replace' : 'keep';
+            case 'hook-wins':
+                return (incomingSource === 'app') ? 'keep' : 'replace';
+            default:
+                return mergeDecision;
+        }
+    },
+
+};
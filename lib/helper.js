@@ -1,6 +1,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const semver = require('semver');
 
 module.exports = {
 
@@ -97,179 +98,493 @@ module.exports = {
     },
 
     /**
-     * Finds all Barmecide hooks depended on by the given package, within the provided search
-     * paths.
+     * Finds all Barmecide hooks depended on by the given package, resolving each dependency just as
+     * Node would from the given base paths. This means hoisted copies (i.e. in npm/yarn workspaces) and
+     * symlinked packages are found, with every hook identified by the real path of its package.json.
+     *
+     * All of the `dependencies`, `devDependencies`, `optionalDependencies` and `peerDependencies` of the
+     * package are considered. Any dependency which isn't installed is simply skipped.
      *
      * @param {Object} nodePackage - Node package descriptor object (i.e. a loaded package.json).
-     * @param {string|string[]} searchPaths - The paths (or path) that should be searched for the
-     * dependencies listed within the given `package`.
+     * @param {string|string[]} basePaths - The directories (or directory) from which the dependencies
+     * listed within the given `package` should be resolved. Generally, the directory of the package.
+     * @param {Object} [options] - Discovery options.
+     * @param {boolean} [options.includeSailsHooks=false] - Whether normal (non-Barmecide) Sails hooks
+     * should be included too.
      *
      * @returns {Object[]} An array of objects describing the found hook dependencies.
      */
-    findHookDependencies(nodePackage, searchPaths) {
+    findHookDependencies(nodePackage, basePaths, options = {}) {
         // If we've been given a non-node package, simply return an empty array.
         if (!(nodePackage instanceof Object)) {
             return [];
         }
 
-        // Merge all the main and dev dependencies into one object.
+        // Merge all the kinds of dependencies into one object.
         // Where a dependencies object doesn't exist, it will be replaced by an empty object.
         const packageDeps = Object.assign(
             {},
-            (nodePackage.dependencies instanceof Object) ? nodePackage.dependencies : {},
-            (nodePackage.devDependencies instanceof Object) ? nodePackage.devDependencies : {},
+            ...['peerDependencies', 'optionalDependencies', 'devDependencies', 'dependencies'].map(key => {
+                return (nodePackage[key] instanceof Object) ? nodePackage[key] : {};
+            }),
         );
 
-        // Ensure our search paths is an array: wrapping it up if not.
-        searchPaths = Array.isArray(searchPaths) ? searchPaths : [searchPaths];
-
-        function findPackageInPaths(packageName, paths) {
-            for (let i = 0; i < paths.length; i++) {
-                const searchBase = paths[i];
-                const potentialPath = path.resolve(searchBase, `./${packageName}/`);
-                if (fs.existsSync(potentialPath) && fs.statSync(potentialPath).isDirectory) {
-                    const packagePath = path.resolve(potentialPath, './package.json');
-                    if (fs.existsSync(packagePath) && fs.statSync(packagePath).isFile) {
-                        return packagePath;
-                    }
-                }
-            }
-            return undefined;
-        }
+        // Ensure our base paths is an array: wrapping it up if not.
+        basePaths = Array.isArray(basePaths) ? basePaths : [basePaths];
 
         // Setup our output hook dependencies list.
         const hookDependencies = [];
         Object.keys(packageDeps).forEach(depName => {
-            // Try and find the package.json path for the given dependency.
-            const pkgPath = findPackageInPaths(depName, searchPaths);
-
-            // Leave if there exists no package.json for the hook.
+            // Try and find the package.json path for the given dependency, leaving if there's none.
+            const pkgPath = basePaths.reduce((found, basePath) => found || this.resolvePackageFile(depName, basePath), undefined);
             if (typeof pkgPath !== 'string') {
                 return;
             }
 
-            // Load the package file, so we can start checking whether or not it's a Sails/Barmecide hook.
-            const pkg = require(pkgPath);
+            const hook = this.describeHook(pkgPath, depName, options);
 
-            // If it's not declared as a Sails hook, just leave, as there's no way it's a proper Barmecide hook.
-            if (!(pkg instanceof Object) || !(pkg.sails instanceof Object) || (pkg.sails.isHook !== true)) {
+            // Skip if it's no Barmecide hook, or we already have such a hook in the dependencies list.
+            if (!hook || hookDependencies.find(v => v.name === hook.name)) {
                 return;
             }
 
-            // Determine the path of our potential hook's main file.
-            const pkgMainPath = path.resolve(pkgPath, '..', pkg.main || 'index.js');
+            // Keep track of the version range requested by the depending package, so we may later
+            // verify whichever copy of the hook is selected for loading satisfies it.
+            hook.declarations = [{
+                range: packageDeps[depName],
+                declaredBy: nodePackage.name,
+            }];
+            return hookDependencies.push(hook);
+        });
 
-            // Leave if tha main package file doesn't exist.
-            if (!fs.existsSync(pkgMainPath) || !fs.statSync(pkgMainPath).isFile) {
-                return;
-            }
+        return hookDependencies;
+    },
 
-            // Try and import our main package file.
-            const pkgMain = require(pkgMainPath);
+    /**
+     * Resolves the real path of the given package's package.json, as Node would resolve the package
+     * from within the given directory. Symbolic links (i.e. workspace packages) are followed, so the
+     * same package is always given by the same path.
+     *
+     * @param {string} packageName - The name of the package to find, possibly scoped (i.e. `@org/hook`).
+     * @param {string} basePath - The directory to resolve the package from.
+     *
+     * @returns {string|undefined} The real path of the package.json, or undefined if the package
+     * couldn't be found.
+     */
+    resolvePackageFile(packageName, basePath) {
+        try {
+            return fs.realpathSync(require.resolve(`${packageName}/package.json`, { paths: [basePath] }));
+        } catch (err) {
+            // Packages having an `exports` map may not expose their package.json, so we'll have to look for
+            // it ourselves in that case, going up through each node_modules directory just as Node does.
+            const pkgPath = this.makeModuleSearchPaths(path.resolve(basePath, 'package.json'))
+                .map(searchPath => path.resolve(searchPath, packageName, 'package.json'))
+                .find(potentialPath => fs.existsSync(potentialPath) && fs.statSync(potentialPath).isFile());
+            return pkgPath ? fs.realpathSync(pkgPath) : undefined;
+        }
+    },
 
-            // Leave if the hook isn't a proper function definition or BarmecideHook.
-            if (!(pkgMain instanceof Function) || (pkgMain.isBarmecideHook !== true)) {
-                return;
-            }
+    /**
+     * Describes the Barmecide hook found at the given package.json, if it is indeed one. Normal Sails
+     * hooks may be described too, flagged by `isBarmecideHook` being `false`, and named just as Sails
+     * would name them (i.e. `sails-hook-orm` is named `orm`).
+     *
+     * @param {string} pkgPath - The path to the hook's package.json.
+     * @param {string} depName - The name the hook was depended on by.
+     * @param {Object} [options] - Discovery options.
+     * @param {boolean} [options.includeSailsHooks=false] - Whether normal Sails hooks should be described.
+     *
+     * @returns {Object|undefined} An object describing the hook, or `undefined` if the package isn't a
+     * Barmecide hook (or Sails hook, where these are included).
+     */
+    describeHook(pkgPath, depName, options = {}) {
+        // Load the package file, so we can start checking whether or not it's a Sails/Barmecide hook.
+        const pkg = require(pkgPath);
 
-            // Select the hook name from either the package, or default to the dependency otherwise.
-            const hookName = ((typeof pkg.sails.hookName === 'string') ? pkg.sails.hookName : depName).toLowerCase();
+        // If it's not declared as a Sails hook, just leave, as there's no way it's a proper Barmecide hook.
+        if (!(pkg instanceof Object) || !(pkg.sails instanceof Object) || (pkg.sails.isHook !== true)) {
+            return undefined;
+        }
 
-            // Skip if we already have such a hook in the dependencies list.
-            if (hookDependencies.find(v => v.name === hookName)) {
-                return;
-            }
+        // Determine the path of our potential hook's main file.
+        const pkgMainPath = path.resolve(pkgPath, '..', pkg.main || 'index.js');
 
-            // Otherwise, generate an appropriate hook definition and add it to our list.
-            return hookDependencies.push({
-                name: hookName,
-                packageName: depName,
-                packageFilePath: pkgPath,
-                mainFilePath: pkgMainPath,
-                version: pkg.version,
-            });
-        });
+        // Leave if tha main package file doesn't exist.
+        if (!fs.existsSync(pkgMainPath) || !fs.statSync(pkgMainPath).isFile()) {
+            return undefined;
+        }
 
-        return hookDependencies;
+        // Try and import our main package file.
+        const pkgMain = require(pkgMainPath);
+
+        // Leave if the hook isn't a proper function definition, or a BarmecideHook (unless we're after any Sails hook).
+        const isBarmecideHook = (pkgMain instanceof Function) && (pkgMain.isBarmecideHook === true);
+        if (!(pkgMain instanceof Function) || (!isBarmecideHook && (options.includeSailsHooks !== true))) {
+            return undefined;
+        }
+
+        // Extract any load ordering preferences, from the `sails.barmecide` block of the package.
+        const barmecidePrefs = (pkg.sails.barmecide instanceof Object) ? pkg.sails.barmecide : {};
+
+        return {
+            name: this.toHookName(pkg, depName),
+            isBarmecideHook,
+            packageName: depName,
+            packageFilePath: pkgPath,
+            mainFilePath: pkgMainPath,
+            version: pkg.version,
+            dependencies: [],
+            loadAfter: this.toHookNameList(barmecidePrefs.loadAfter),
+            loadBefore: this.toHookNameList(barmecidePrefs.loadBefore),
+            declarations: [],
+        };
     },
 
     /**
-     * Find all hooks existing under the given path, for which a package.json exists.
+     * Determines the name Sails gives a hook, taken from the `sails.hookName` of its package if set, or
+     * from the name it was depended on by otherwise. As with Sails, any npm scope and `sails-hook-`
+     * prefix is stripped off (such that `@org/sails-hook-billing` is named `billing`).
+     *
+     * @param {Object} pkg - The hook's package descriptor (i.e. its loaded package.json).
+     * @param {string} depName - The name the hook was depended on by.
+     *
+     * @returns {string} The lowercase hook name.
+     */
+    toHookName(pkg, depName) {
+        if ((pkg.sails instanceof Object) && (typeof pkg.sails.hookName === 'string')) {
+            return pkg.sails.hookName.toLowerCase();
+        }
+        return depName.replace(/^(@[^/\\]+[/\\])?(sails-hook-)?/, '').toLowerCase();
+    },
+
+    /**
+     * Find all hooks existing under the given path, for which a package.json exists. Only top-level
+     * folders are considered, as Sails itself loads each of these as a hook (so there's no nesting
+     * hooks within scope folders here, as is done within node_modules).
+     *
+     * @param {string} apiHooksPath - The path of the app's `api/hooks/` directory.
+     *
+     * @returns {Object[]} An array of objects describing the found hooks.
      */
     findApiPathHooks(apiHooksPath) {
         // If the hooks path isn't a real folder, leave with an empty list.
-        if (!fs.existsSync(apiHooksPath) || !fs.statSync(apiHooksPath).isDirectory) {
+        if (!fs.existsSync(apiHooksPath) || !fs.statSync(apiHooksPath).isDirectory()) {
             return [];
         }
 
         // Find the names of all hook folders:
         const hookNames = fs.readdirSync(apiHooksPath).filter(entryName => {
             const fullPath = path.resolve(apiHooksPath, entryName);
-            return fs.statSync(fullPath).isDirectory;
+            return fs.statSync(fullPath).isDirectory();
         });
 
-        const dependencies = hookNames.reduce((acc, name) => {
-            acc[name] = name;
-            return acc;
-        }, {});
-
-        const apiHooks = this.findHookDependencies({ dependencies }, apiHooksPath).map(hook => {
-            // API hooks get special treatment as far as their name goes, so handle this.
-            hook.name = path.basename(path.resolve(hook.packageFilePath, '..'));
-            return hook;
+        const apiHooks = [];
+        hookNames.forEach(name => {
+            const pkgPath = path.resolve(apiHooksPath, name, 'package.json');
+            const hook = fs.existsSync(pkgPath) ? this.describeHook(fs.realpathSync(pkgPath), name) : undefined;
+            // Skip anything that isn't a Barmecide hook.
+            if (!hook) {
+                return;
+            }
+            // API hooks get special treatment as far as their name goes, being named after their folder.
+            hook.name = name;
+            apiHooks.push(hook);
         });
 
         return apiHooks;
     },
 
     /**
-     * Finds a list of all unique child dependencies which belong to the given hooks (or list of hooks).
+     * Finds the hook described by the given package file, for a hook project being run standalone
+     * (that is, lifted as an app itself). The hook is named after its package, just as it would be
+     * when depended on by an app.
+     *
+     * @param {string} packageFilePath - The path to the hook project's package.json.
+     *
+     * @returns {Object|undefined} An object describing the hook, or `undefined` if the package isn't
+     * a Barmecide hook.
+     */
+    findStandaloneHook(packageFilePath) {
+        const pkg = require(packageFilePath);
+        const hook = this.describeHook(fs.realpathSync(packageFilePath), pkg.name);
+
+        // Leave if the project isn't a Barmecide hook after all.
+        if (!hook) {
+            return undefined;
+        }
+
+        // No version range is ever declared for the standalone hook, as nothing depends on it.
+        hook.declarations = [];
+
+        return hook;
+    },
+
+    /**
+     * Finds a list of all child dependencies which belong to the given hooks (or list of hooks).
+     *
+     * Every distinct copy of a hook is listed (that is, one entry per package.json found), so the same
+     * hook may appear several times where multiple versions are installed. Whenever an already known
+     * copy is depended on again, the new version range is simply added to that copy's `declarations`.
+     * Duplicates should be settled afterwards through `resolveDuplicateHooks`.
      *
      * @param {Object|Object[]} hooks - The hook or hooks which should have dependencies searched.
      * @param {Object[]} exclude - A list of hooks which should be excluded from loading. This is used to
      * prevent infinite recursion (rather, stack overflow) occurring for hooks where one or more circular
      * dependencies exist. Generally, this is all loaded dependencies (child + main).
+     * @param {Object} [options] - Discovery options, as given to `findHookDependencies`. Where normal Sails
+     * hooks are included, their own dependencies are never searched, as Barmecide has no hand in loading these.
      *
      * @returns {Object[]} An array of objects describing the found hook dependencies.
      */
-    findHookChildDependencies(hooks, exclude) {
+    findHookChildDependencies(hooks, exclude, options = {}) {
         // Ensure hooks is an array, wrapping any given value if not.
         hooks = Array.isArray(hooks) ? hooks : [hooks];
 
+        // Build our list of all hooks already met, either given directly or excluded.
+        const knownHooks = (Array.isArray(exclude) ? exclude : []).concat(hooks);
+
         // Setup our output dependency list.
         const childDependencies = [];
         hooks.forEach(hook => {
             const hookPackage = require(hook.packageFilePath);
-            const hookChildren = this.findHookDependencies(hookPackage, this.makeModuleSearchPaths(hook.packageFilePath)).filter(dep => {
-                // If a dependency with this hook or package name has already been loaded into our childDependencies, exclude this one.
-                if (childDependencies.find(d => d.name === dep.name || d.packageName === dep.packageName)) {
-                    return false;
+            const hookDeps = (hook.isBarmecideHook !== false)
+                ? this.findHookDependencies(hookPackage, path.dirname(hook.packageFilePath), options)
+                : [];
+            // Remember the names of our direct dependencies, so a load order may be worked out later.
+            hook.dependencies = hookDeps.map(dep => dep.name);
+            hookDeps.forEach(dep => {
+                // If this exact copy of the hook has already been found, just record the extra version range.
+                const existing = [...knownHooks, ...childDependencies].find(d => d.packageFilePath === dep.packageFilePath);
+                if (existing) {
+                    existing.declarations = (existing.declarations || []).concat(dep.declarations);
+                    return;
                 }
-                // If a dependency with this hook or package name has already been loaded into the main hooks, exclude this one.
-                if (hooks.find(d => d.name === dep.name || d.packageName === dep.packageName)) {
-                    return false;
-                }
-                // If it's in the exclusion list, ignore it as well (not a fan of this method..).
-                if (Array.isArray(exclude) && exclude.find(d => d.name === dep.name || d.packageName === dep.packageName)) {
-                    return false;
-                }
-                // Otherwise, the hook is an all-good, unique one, so include it.
-                return true;
+                // Otherwise, it's a brand new copy, so include it.
+                childDependencies.push(dep);
             });
-
-            // Add the new child hooks to our list.
-            childDependencies.push(...hookChildren);
         });
 
         // Aaaand recurse..
         if (childDependencies.length > 0) {
-            exclude = Array.isArray(exclude) ? exclude.concat(childDependencies) : hooks;
-            childDependencies.push(...this.findHookChildDependencies(childDependencies, exclude));
+            childDependencies.push(...this.findHookChildDependencies(childDependencies, knownHooks, options));
         }
 
         return childDependencies;
     },
 
+    /**
+     * Settles any duplicate hooks within the given listing. For each hook name, the copy with the highest
+     * version satisfying every node-semver range declared against the hook is selected, with all other
+     * copies being attached to the selected hook's `retargets` list, so they may be loaded in its stead.
+     *
+     * Ranges which aren't valid node-semver ranges (i.e. git or file dependencies) are not checked.
+     *
+     * @param {Object[]} hooks - List of hook descriptors, possibly containing several copies of a hook.
+     *
+     * @returns {Object} An object of the form `{ hooks, conflicts }`, where `hooks` holds the selected,
+     * unique hook descriptors (in order of first appearance), and `conflicts` describes every hook for
+     * which no copy satisfies all of the declared ranges.
+     */
+    resolveDuplicateHooks(hooks) {
+        // Group up all copies by hook name, retaining the order in which names were first encountered.
+        const groups = hooks.reduce((acc, hook) => {
+            const group = acc.find(g => g.name === hook.name);
+            if (group) {
+                group.copies.push(hook);
+            } else {
+                acc.push({ name: hook.name, copies: [hook] });
+            }
+            return acc;
+        }, []);
+
+        const resolved = [];
+        const conflicts = [];
+        groups.forEach(group => {
+            // Collect every declaration made against any copy of the hook.
+            const declarations = group.copies.reduce((acc, copy) => acc.concat(copy.declarations || []), []);
+            // We'll only verify ranges that node-semver actually understands.
+            const checkedRanges = declarations.filter(d => (typeof d.range === 'string') && (semver.validRange(d.range) !== null));
+
+            // Sort our copies by version, highest first. Copies with invalid versions are sorted last.
+            const candidates = group.copies.slice().sort((a, b) => {
+                const aValid = !!semver.valid(a.version);
+                const bValid = !!semver.valid(b.version);
+                if (aValid && bValid) {
+                    return semver.rcompare(a.version, b.version);
+                }
+                return Number(bValid) - Number(aValid);
+            });
+
+            // Select the highest version which satisfies all ranges (any copy does if there's nothing to check).
+            const selected = candidates.find(copy => {
+                return (checkedRanges.length === 0) || (!!semver.valid(copy.version) && checkedRanges.every(d => semver.satisfies(copy.version, d.range)));
+            });
+
+            // If there's no such version, we've a conflict on our hands.
+            if (!selected) {
+                return conflicts.push({
+                    name: group.name,
+                    copies: candidates,
+                    declarations,
+                });
+            }
+
+            // Otherwise, all lower (or rejected) copies should be retargeted to the selected one.
+            selected.declarations = declarations;
+            selected.retargets = candidates.filter(copy => copy !== selected);
+            resolved.push(selected);
+        });
+
+        return { hooks: resolved, conflicts };
+    },
+
+    /**
+     * Builds the load-order graph for the given hooks, mapping each hook name to the list of hook names
+     * which must finish loading beforehand. A hook must load after any of its hook dependencies, any hook
+     * it lists under `sails.barmecide.loadAfter`, and any hook listing it under `sails.barmecide.loadBefore`.
+     *
+     * Names not found within the given hooks are ignored, as there's nothing to wait on.
+     *
+     * @param {Object[]} hooks - List of unique hook descriptors.
+     *
+     * @returns {Object} The load-order graph, keyed by hook name.
+     */
+    buildLoadGraph(hooks) {
+        const names = hooks.map(hook => hook.name);
+
+        // Start off with each hook's dependencies and explicit `loadAfter` entries.
+        const graph = hooks.reduce((acc, hook) => {
+            acc[hook.name] = [...(hook.dependencies || []), ...(hook.loadAfter || [])];
+            return acc;
+        }, {});
+        // Any `loadBefore` entries are simply reversed edges.
+        hooks.forEach(hook => {
+            (hook.loadBefore || []).filter(name => name in graph).forEach(name => graph[name].push(hook.name));
+        });
+
+        // Clean up our edges, keeping only unique, known names (and no self-references).
+        Object.keys(graph).forEach(name => {
+            graph[name] = graph[name].filter((v, idx, arr) => names.includes(v) && (v !== name) && (arr.indexOf(v) === idx));
+        });
+
+        return graph;
+    },
+
+    /**
+     * Finds the names each hook lists under `loadAfter` (or `loadBefore`) which aren't amongst the given
+     * hooks, and so can't be ordered through the load-order graph (i.e. core Sails hooks, or typos).
+     *
+     * @param {Object[]} hooks - List of unique hook descriptors.
+     * @param {string} key - Either `'loadAfter'` or `'loadBefore'`.
+     *
+     * @returns {Object} The unknown names listed by each hook, keyed by hook name. Hooks without any are left out.
+     */
+    findUnknownLoadOrderNames(hooks, key) {
+        const names = hooks.map(hook => hook.name);
+        return hooks.reduce((acc, hook) => {
+            const unknown = (hook[key] || []).filter(name => !names.includes(name));
+            if (unknown.length > 0) {
+                acc[hook.name] = unknown;
+            }
+            return acc;
+        }, {});
+    },
+
+    /**
+     * Sorts the given hooks topologically, per the given load-order graph, such that each hook is placed
+     * after all hooks it must load after. Ties retain the order of the given list.
+     *
+     * Any cycles found are reported with their full path (i.e. `['a', 'b', 'c', 'a']`), and are broken by
+     * removing the edge which closes the cycle from the returned graph, as otherwise no order would exist.
+     *
+     * @param {Object[]} hooks - List of unique hook descriptors.
+     * @param {Object} graph - The load-order graph, as built by `buildLoadGraph`.
+     *
+     * @returns {Object} An object of the form `{ hooks, graph, cycles }`, where `hooks` is the sorted hook
+     * list, `graph` is a copy of the load-order graph without any cycles, and `cycles` lists all cycles found.
+     */
+    sortHooksByLoadGraph(hooks, graph) {
+        // Copy the graph, so we may break any cycles without affecting the original.
+        const acyclicGraph = Object.keys(graph).reduce((acc, name) => {
+            acc[name] = graph[name].slice();
+            return acc;
+        }, {});
+
+        const sorted = [];
+        const cycles = [];
+        const visitState = {};
+
+        // Depth-first visit of the given hook, where trail is the list of hook names leading up to it.
+        const visit = (name, trail) => {
+            // If we've already placed this hook, there's nothing more to do.
+            if (visitState[name] === 'done') {
+                return;
+            }
+            // If we're still busy placing this hook, we've gone around in a circle. Record the cycle, and
+            // break it by dropping the edge which led us back here.
+            if (visitState[name] === 'visiting') {
+                const from = trail[trail.length - 1];
+                cycles.push([...trail.slice(trail.indexOf(name)), name]);
+                acyclicGraph[from] = acyclicGraph[from].filter(v => v !== name);
+                return;
+            }
+            visitState[name] = 'visiting';
+            (acyclicGraph[name] || []).slice().forEach(dep => visit(dep, [...trail, name]));
+            visitState[name] = 'done';
+            sorted.push(hooks.find(hook => hook.name === name));
+        };
+        hooks.forEach(hook => visit(hook.name, []));
+
+        return { hooks: sorted, graph: acyclicGraph, cycles };
+    },
+
+    /**
+     * Normalises the given hook name or list of hook names into an array of lowercase hook names,
+     * ignoring any non-string values.
+     *
+     * @param {string|string[]} names - The hook name or names to normalise.
+     *
+     * @returns {string[]} The normalised list of hook names.
+     */
+    toHookNameList(names) {
+        names = Array.isArray(names) ? names : [names];
+        return names.filter(name => typeof name === 'string').map(name => name.toLowerCase());
+    },
+
+    /**
+     * Lists the key paths of all leaf values within the given config object. Any value other than a
+     * non-empty plain object is considered a leaf.
+     *
+     * @param {Object} config - The config object to list key paths of.
+     * @param {string[]} [parentPath=[]] - The key path of the given config object, used when recursing.
+     *
+     * @returns {string[][]} The list of key paths, each given as an array of keys.
+     */
+    listConfigPaths(config, parentPath = []) {
+        return Object.keys(config).reduce((acc, key) => {
+            const value = config[key];
+            const keyPath = [...parentPath, key];
+            // Recurse into any plain objects having keys, as these aren't leaves.
+            if ((value instanceof Object) && (value.constructor === Object) && (Object.keys(value).length > 0)) {
+                return acc.concat(this.listConfigPaths(value, keyPath));
+            }
+            acc.push(keyPath);
+            return acc;
+        }, []);
+    },
+
+    /**
+     * Calculates the time elapsed since the given high-resolution start time, in milliseconds.
+     *
+     * @param {number[]} start - The start time, as returned by `process.hrtime()`.
+     *
+     * @returns {number} The elapsed milliseconds, rounded to the nearest hundredth.
+     */
+    elapsedMilliseconds(start) {
+        const [seconds, nanoseconds] = process.hrtime(start);
+        return Math.round((seconds * 1e5) + (nanoseconds / 1e4)) / 100;
+    },
+
     makeModuleSearchPaths(packageFilePath) {
         const paths = [];
 
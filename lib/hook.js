@@ -1,9 +1,22 @@
 
-const vanity = require('./vanity');
 const loader = require('./loader');
+const helpers = require('./helper');
+const schema = require('./schema');
 const path = require('path');
 const _ = require('lodash');
 
+/**
+ * The number of milliseconds a hook may spend in its bootstrap or initialize phase before a warning
+ * is logged, where no threshold has been configured.
+ */
+const DEFAULT_SLOW_PHASE_THRESHOLD = 5000;
+
+/**
+ * The number of milliseconds a hook may spend in its bootstrap, initialize or registerActions phase
+ * before being failed with a timeout, where no timeout has been configured.
+ */
+const DEFAULT_PHASE_TIMEOUT = 20000;
+
 module.exports = class BarmecideHook {
 
     constructor(sails, hookModule) {
@@ -12,9 +25,29 @@ module.exports = class BarmecideHook {
         this.module = hookModule;
         this.path = path.dirname(hookModule.filename);
         this.globalEntry = undefined;
+        this.isStandalone = false;
         this.status = 'Loading';
+        this.phase = undefined;
+        this.error = undefined;
+        this.defaultsError = undefined;
         this.bootstrap = done => done();
 
+        // Setup our load timings, which are filled in as loading progresses. The start and finish times
+        // are epoch milliseconds, while each phase holds the (high-resolution) milliseconds spent in it.
+        this.timings = {
+            startedAt: undefined,
+            finishedAt: undefined,
+            phases: {
+                defaults: undefined,
+                configure: undefined,
+                waiting: undefined,
+                bootstrap: undefined,
+                initialize: undefined,
+                registerActions: undefined,
+                teardown: undefined,
+            },
+        };
+
         // Setup some basic prefs object.
         this.prefs = {
             merge: {
@@ -22,17 +55,39 @@ module.exports = class BarmecideHook {
                 models: true,
                 services: true,
                 policies: true,
+                helpers: true,
                 config: true,
             },
             bootstrap: true,
+            optional: false,
+            timeout: undefined,
+            namespace: undefined,
+            namespacePolicies: false,
+            namespaceHelpers: false,
         };
 
+        // Setup the default policy mappings provided by the hook's `config/policies.js`, if any.
+        this.policyMappings = {};
+
+        // Setup the conflict decisions made for our actions, so these needn't be made (and warned about) again on reload.
+        this.actionDecisions = {};
+
+        // Setup the routes imported from the hook's `config/routes.js`, keyed by their final address.
+        this.importedRoutes = {};
+
+        // Setup the capabilities this hook provides to others (per `provides()`), along with the capabilities
+        // injected from other hooks (per `requires()`) and the hooks providing them, each keyed by capability.
+        this.provided = {};
+        this.capabilities = {};
+        this.providers = {};
+
         // Setup the hook resources object.
         this.items = {
             controllers: {},
             models: {},
             services: {},
             policies: {},
+            helpers: {},
             config: {},
         };
 
@@ -41,7 +96,8 @@ module.exports = class BarmecideHook {
     }
 
     /**
-     * Just a default implementation of the initialize method.
+     * Just a default implementation of the initialize method. Overrides may either call `done`, or
+     * return a promise (as do the `registerActions` method and any config bootstrap function).
      *
      * @see https://sailsjs.com/documentation/concepts/extending-sails/hooks/hook-specification/initialize
      */
@@ -58,6 +114,54 @@ module.exports = class BarmecideHook {
         return done();
     }
 
+    /**
+     * Just a default implementation of the teardown method, being the counterpart of `initialize`, which
+     * is called as Sails is lowered. Overrides should release anything the hook has opened (i.e. queues,
+     * timers or sockets), and may either call `done` or return a promise. Hooks are torn down in reverse
+     * load order, so any hooks this hook depends upon are still available until it has finished.
+     *
+     * Note that Sails may be lowered after failing to lift, so this may be called even where the hook never
+     * got around to initializing.
+     */
+    teardown(done) {
+        return done();
+    }
+
+    /**
+     * Just a default implementation of the provides method, which may return an object of the capabilities
+     * this hook provides to other hooks, keyed by capability name. This is called while configuring, but
+     * each capability is only handed over once this hook has loaded, so it may rely on anything set up in
+     * `initialize`, so long as that's accessed lazily (i.e. through methods).
+     *
+     * @returns {Object} The provided capabilities, keyed by name.
+     */
+    provides() {
+        return {};
+    }
+
+    /**
+     * Just a default implementation of the requires method, which may return the names of the capabilities
+     * this hook requires from other hooks. Each is injected into `this.capabilities` once the hook providing
+     * it has loaded, before this hook's bootstrap and `initialize` are run.
+     *
+     * @returns {string[]} The names of the required capabilities.
+     */
+    requires() {
+        return [];
+    }
+
+    /**
+     * Just a default implementation of the modelExtensions method, which may return a list of model
+     * extensions, in addition to any within the `api/model-extensions/` directory. Each extension must
+     * specify its `target` models (by identity, glob, list or predicate), and may add `attributes` or
+     * lifecycle callbacks (i.e. `beforeCreate`), which are composed with those already defined.
+     *
+     * @returns {Object[]} The list of model extensions.
+     */
+    modelExtensions() {
+        return [];
+    }
+
     /**
      * Just a default implementation of the configure method.
      *
@@ -94,6 +198,340 @@ module.exports = class BarmecideHook {
         };
     }
 
+    /**
+     * Records this hook as the provider of every key in the given config which is not yet set within
+     * `sails.config`, as these are the keys which will be set once the config is merged in.
+     *
+     * @param {Object} config - The config object which is about to be merged into `sails.config`.
+     */
+    recordConfigProvenance(config) {
+        const provenance = this.sails.barmecide.provenance.config;
+        helpers.listConfigPaths(config)
+            .filter(keyPath => !_.has(this.sails.config, keyPath))
+            .forEach(keyPath => {
+                provenance[keyPath.join('.')] = [this.identity];
+            });
+    }
+
+    /**
+     * Records the time spent in the given load phase, warning if the hook has been slow to bootstrap or
+     * initialize. The warning threshold is configured through `sails.config.barmecide.slowHookThreshold`,
+     * as either a number of milliseconds, an object keyed by phase (`{ bootstrap, initialize }`), or
+     * `false` to disable the warnings entirely.
+     *
+     * @param {string} phase - The name of the phase (i.e. 'configure' or 'initialize').
+     * @param {number[]} start - The phase start time, as returned by `process.hrtime()`.
+     */
+    recordPhase(phase, start) {
+        const elapsed = helpers.elapsedMilliseconds(start);
+        this.timings.phases[phase] = elapsed;
+
+        // Only bootstrap and initialize are under the hook's control enough to warrant a warning.
+        if (!['bootstrap', 'initialize'].includes(phase)) {
+            return;
+        }
+
+        // Find the threshold for this phase, falling back to our default where none has been set.
+        const config = (this.sails.config.barmecide instanceof Object) ? this.sails.config.barmecide.slowHookThreshold : undefined;
+        const threshold = (config instanceof Object) ? config[phase] : config;
+        const limit = (threshold === undefined) ? DEFAULT_SLOW_PHASE_THRESHOLD : threshold;
+
+        if ((typeof limit === 'number') && (elapsed > limit)) {
+            this.sails.barmecide.warn(this.identity, `Hook "${this.identity}" was slow to ${phase}, taking ${elapsed}ms (over the ${limit}ms threshold).`);
+        }
+    }
+
+    /**
+     * Validates the given hook config block against the hook class' `configSchema` (if any), along
+     * with its `barmecide` block against Barmecide's own schema. The `barmecide` and `_hookTimeout`
+     * keys are always accepted, so hook schemas needn't declare these.
+     *
+     * @param {Object} config - The hook config block, as found under `sails.config[configKey]`.
+     * @param {string} stage - The stage at which the config is being validated, used in messages.
+     *
+     * @throws {Error} If the config is invalid, listing every offending key.
+     */
+    validateConfig(config, stage) {
+        const keyPath = `sails.config.${this.configKey}`;
+        const hookSchema = this.constructor.configSchema;
+        const problems = [];
+
+        // Validate against the hook's own schema, if it has declared one.
+        if (hookSchema instanceof Object) {
+            const fullSchema = Object.assign({ type: 'object' }, hookSchema, {
+                properties: Object.assign({}, hookSchema.properties, {
+                    barmecide: { type: 'any' },
+                    _hookTimeout: { type: 'number' },
+                }),
+            });
+            problems.push(...schema.validate((config === undefined) ? {} : config, fullSchema, keyPath));
+        }
+
+        // Validate our own settings block, which is always checked.
+        if ((config instanceof Object) && (config.barmecide !== undefined)) {
+            problems.push(...schema.validate(config.barmecide, schema.BARMECIDE_SCHEMA, `${keyPath}.barmecide`));
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid config for hook "${this.identity}" (after ${stage}):\n    - ${problems.join('\n    - ')}`);
+        }
+    }
+
+    /**
+     * Finds the hook providing each capability this hook `requires()`, amongst the hooks being loaded.
+     * Where several hooks provide the same capability, the one loaded first is used (with a warning).
+     *
+     * @returns {Object} The providing hook instances, keyed by capability name.
+     *
+     * @throws {Error} If `requires()` doesn't give a list of names, or any capability isn't provided (or
+     * is provided by a hook which loads after this one).
+     */
+    findProviders() {
+        const required = this.requires();
+        if (!Array.isArray(required) || !required.every(name => (typeof name === 'string') && (name.length > 0))) {
+            throw new Error(`Expected \`requires()\` of hook "${this.identity}" to return a list of capability names, but instead found: ${JSON.stringify(required)}`);
+        }
+
+        const providers = {};
+        const missing = [];
+        _.uniq(required).forEach(capability => {
+            const candidates = this.sails.barmecide.findProviders(capability).filter(provider => provider !== this);
+            if (candidates.length === 0) {
+                return missing.push(capability);
+            }
+            if (candidates.length > 1) {
+                const names = candidates.map(provider => provider.identity);
+                this.sails.barmecide.warn(this.identity, `The "${capability}" capability required by hook "${this.identity}" is provided by several hooks (${names.join(', ')}); using "${names[0]}".`);
+            }
+            // We'd wait on our provider forever, should it be waiting on us in turn.
+            if (this.sails.barmecide.loadsAfter(candidates[0].identity, this.identity)) {
+                throw new Error(`Hook "${this.identity}" requires the "${capability}" capability from hook "${candidates[0].identity}", which itself loads after "${this.identity}".`);
+            }
+            providers[capability] = candidates[0];
+        });
+
+        if (missing.length > 0) {
+            const available = this.sails.barmecide.listCapabilities();
+            throw new Error(
+                `Hook "${this.identity}" requires the ${missing.map(name => `"${name}"`).join(', ')} ${(missing.length === 1) ? 'capability' : 'capabilities'}, `
+                + 'which no installed hook provides. '
+                + `Capabilities provided: ${(available.length > 0) ? available.join(', ') : 'none'}.`,
+            );
+        }
+        return providers;
+    }
+
+    /**
+     * Retrieves the number of milliseconds this hook may spend in an asynchronous load phase before
+     * timing out. The timeout may be set per hook through its `barmecide.timeout` setting, or for all
+     * hooks through `sails.config.barmecide.timeout`, with `false` disabling the timeout.
+     *
+     * @returns {number|boolean} The timeout in milliseconds, or `false` if there's no timeout.
+     */
+    getPhaseTimeout() {
+        const globalTimeout = (this.sails.config.barmecide instanceof Object) ? this.sails.config.barmecide.timeout : undefined;
+        const timeout = (this.prefs.timeout !== undefined) ? this.prefs.timeout : globalTimeout;
+        if (timeout === undefined) {
+            return DEFAULT_PHASE_TIMEOUT;
+        }
+        return (typeof timeout === 'number') ? timeout : false;
+    }
+
+    /**
+     * Runs the given asynchronous load phase, recording its timing and failing it with an error naming
+     * the hook and phase should it not call back within the configured timeout. Any callback made after
+     * the phase has already finished (i.e. once timed out) is ignored.
+     *
+     * @param {string} phase - The name of the phase (i.e. 'bootstrap' or 'initialize').
+     * @param {Function} fn - The phase function, which is given a callback to call once done.
+     * @param {Function} done - The callback to call once the phase has finished (or timed out).
+     */
+    runPhase(phase, fn, done) {
+        const timeout = this.getPhaseTimeout();
+        const start = process.hrtime();
+        let finished = false;
+        let timer;
+
+        const finish = err => {
+            if (finished) {
+                this.sails.log.verbose('[Barmecide]', `Hook "${this.identity}" called back from ${phase} after it had already finished; ignoring.`);
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            this.phase = undefined;
+            this.recordPhase(phase, start);
+            return done(err);
+        };
+
+        if (timeout !== false) {
+            timer = setTimeout(() => {
+                finish(new Error(`Hook "${this.identity}" timed out during ${phase}, as it didn't call back within ${timeout}ms.`));
+            }, timeout);
+        }
+
+        this.phase = phase;
+        this.callLifecycle(phase, fn, finish);
+    }
+
+    /**
+     * Calls the given lifecycle function, which may either call back or return a promise (i.e. being
+     * an async function). Rejections and synchronous throws are handled just as callback errors are.
+     * Only the first completion is passed along to `done`: calling back more than once is warned
+     * about, while a promise settling after the callback has been called is ignored.
+     *
+     * @param {string} phase - The name of the phase (i.e. 'bootstrap' or 'initialize'), used in messages.
+     * @param {Function} fn - The lifecycle function, which is given a callback to call once done.
+     * @param {Function} done - The callback to call once the lifecycle function has completed.
+     */
+    callLifecycle(phase, fn, done) {
+        let calledBack = false;
+        const callback = err => {
+            if (calledBack) {
+                this.sails.barmecide.warn(this.identity, `Hook "${this.identity}" completed ${phase} more than once; ignoring all but the first.`);
+                return;
+            }
+            calledBack = true;
+            return done(err);
+        };
+
+        let result;
+        try {
+            result = fn(callback);
+        } catch (err) {
+            // Anything thrown once we've called back came from further down the chain, so it isn't ours to handle.
+            if (calledBack) {
+                throw err;
+            }
+            return callback(err);
+        }
+
+        // Where we've been given a promise, complete once it settles (unless we've already been called back).
+        if (result && (result.then instanceof Function)) {
+            result.then(() => {
+                if (!calledBack) {
+                    callback();
+                }
+            }, err => {
+                const error = err || new Error(`Hook "${this.identity}" rejected during ${phase}, without giving a reason.`);
+                if (calledBack) {
+                    return this.sails.log.error('[Barmecide]', `Hook "${this.identity}" rejected during ${phase} after having already completed:`, error);
+                }
+                callback(error);
+            });
+        }
+    }
+
+    /**
+     * Fills in the given Sails routes object with the routes from the underlying `routes()` method.
+     * Each route handler is wrapped to skip itself (passing along to the next handler) should the
+     * hook fail to load, so that a failed hook's routes are withdrawn as well.
+     *
+     * @param {Object} target - The Sails routes object to fill, of the form `{ before, after }`.
+     */
+    collectRoutes(target) {
+        // Call the underlying routes function to retrieve any hook-defined routes.
+        const routes = this.routes();
+        if (!(routes instanceof Object)) {
+            return;
+        }
+
+        ['before', 'after'].forEach(key => {
+            const handlers = (routes[key] instanceof Object) ? routes[key] : {};
+            Object.keys(handlers).forEach(address => {
+                const handler = handlers[address];
+                target[key][address] = (handler instanceof Function)
+                    ? (req, res, next) => ((this.status === 'Failed') ? next() : handler(req, res, next))
+                    : handler;
+            });
+        });
+    }
+
+    /**
+     * Marks this hook as having failed to load, capturing the error and emitting the
+     * `barmecide:hooks:<name>:failed` event. Optional hooks are withdrawn as well, so that the app
+     * may carry on lifting without them.
+     *
+     * @param {Error} err - The error the hook failed with.
+     */
+    markFailed(err) {
+        const name = this.globalEntry.name;
+        this.status = 'Failed';
+        this.error = err;
+        this.timings.finishedAt = Date.now();
+        this.globalEntry.hasFailed = true;
+
+        if (this.prefs.optional) {
+            this.sails.log.error('[Barmecide]', `Optional hook "${name}" failed to load, and has been disabled:`, err);
+            this.withdraw();
+        } else {
+            this.sails.log.error('[Barmecide]', `Hook "${name}" failed to load:`, err);
+        }
+
+        // Emit events which can be listened for, signalling that the hook failed (and is thus settled).
+        this.sails.emit(`barmecide:hooks:${name}:failed`, err);
+        this.sails.emit(`barmecide:hooks:${name}:settled`);
+    }
+
+    /**
+     * Tears this hook down through the underlying `teardown` method, within the usual phase timeout, then
+     * emits the `barmecide:hooks:<name>:lowered` event. A hook which loaded successfully is marked as
+     * stopped. Any error is logged rather than passed along, so that one misbehaving hook can't keep the
+     * others from being torn down (nor Sails from being lowered).
+     *
+     * @param {Function} done - The callback to call once the hook has been torn down.
+     */
+    stop(done) {
+        const name = this.globalEntry.name;
+        this.runPhase('teardown', next => this.teardown(next), err => {
+            if (err) {
+                this.sails.log.error('[Barmecide]', `Hook "${name}" failed to tear down:`, err);
+            }
+            if (this.status === 'OK') {
+                this.status = 'Stopped';
+            }
+            this.sails.emit(`barmecide:hooks:${name}:lowered`, err);
+            return done();
+        });
+    }
+
+    /**
+     * Withdraws everything this hook has registered which can safely be taken back: any actions and
+     * services this hook alone provides, and any routes imported from its `config/routes.js`. Routes from
+     * `routes()` needn't be withdrawn, as these skip themselves once the hook has failed. Models and
+     * config are left as-is, as these have already been taken in by Sails by the time the hook could
+     * have failed.
+     */
+    withdraw() {
+        const sails = this.sails;
+        const provenance = sails.barmecide.provenance;
+        const isSoleSource = sources => (sources.length === 1) && (sources[0] === this.identity);
+
+        // Withdraw our actions, so that they're no longer routable.
+        Object.keys(provenance.actions).filter(ident => isSoleSource(provenance.actions[ident])).forEach(ident => {
+            delete sails._actions[ident];
+            delete provenance.actions[ident];
+        });
+        this.items.controllers = {};
+
+        // Withdraw our services, along with any globals exposed for them.
+        Object.keys(provenance.services).filter(ident => isSoleSource(provenance.services[ident])).forEach(ident => {
+            const service = sails.services[ident];
+            if (service && (global[service.globalId] === service)) {
+                delete global[service.globalId];
+            }
+            delete sails.services[ident];
+            delete provenance.services[ident];
+        });
+        this.items.services = {};
+
+        // Withdraw our imported routes, so long as nobody has since bound anything else to them.
+        Object.keys(this.importedRoutes).filter(address => sails.config.routes[address] === this.importedRoutes[address]).forEach(address => {
+            delete sails.config.routes[address];
+        });
+        this.importedRoutes = {};
+    }
+
     /**
      * @returns {Object} An appropriate, natural Sails hook built against the Barmecide hook.
      */
@@ -102,87 +540,173 @@ module.exports = class BarmecideHook {
         const hook = this;
         const sails = this.sails;
 
+        // Setup the routes objects handed to Sails, which are filled in by `collectRoutes` once we're configured.
+        const routes = {
+            before: {},
+            after: {},
+        };
+
         // Return our Sails hook object, with wrappers around the underlying hook functions.
         return {
 
             initialize(done) {
-                // Run any bootstrap prior to registering.
-                hook.bootstrap(err => {
-                    // If an error was encountered, leave straight away.
-                    if (err) {
-                        return done(err);
+                // Mark the hook as failed on any error, only passing the error along (and thus failing the lift) for non-optional hooks.
+                const fail = err => {
+                    hook.markFailed(err);
+                    return hook.prefs.optional ? done() : done(err);
+                };
+
+                // Find the hooks providing the capabilities we require, failing straight away should any be missing.
+                try {
+                    hook.providers = hook.findProviders();
+                } catch (err) {
+                    return fail(err);
+                }
+
+                // Find the events of every hook we must load after, along with those of our providers. We wait on
+                // Barmecide hooks settling rather than loading, as an optional hook may fail without stopping the lift.
+                const loadAfterEvents = _.uniq([
+                    ...sails.barmecide.findLoadAfterEvents(hook.globalEntry.name),
+                    ...Object.values(hook.providers).map(provider => `barmecide:hooks:${provider.globalEntry.name}:settled`),
+                ]);
+
+                // Fill in our routes, now that the hook has been configured.
+                hook.collectRoutes(routes);
+
+                // Wait for these hooks to finish loading, then run any bootstrap prior to registering.
+                const waitStart = process.hrtime();
+                hook.phase = 'waiting';
+                sails.after(loadAfterEvents, () => {
+                    hook.recordPhase('waiting', waitStart);
+
+                    // Inject the capabilities we require, now that their providers have settled (provided none failed).
+                    const failedCapability = Object.keys(hook.providers).find(capability => hook.providers[capability].status !== 'OK');
+                    if (failedCapability !== undefined) {
+                        const provider = hook.providers[failedCapability].identity;
+                        return fail(new Error(`Hook "${hook.identity}" requires the "${failedCapability}" capability, but its provider "${provider}" failed to load.`));
                     }
-                    // Run the underlying initialize method...
-                    hook.initialize(err => {
+                    Object.keys(hook.providers).forEach(capability => {
+                        hook.capabilities[capability] = hook.providers[capability].provided[capability];
+                    });
+
+                    hook.runPhase('bootstrap', next => hook.bootstrap(next), err => {
                         // If an error was encountered, leave straight away.
                         if (err) {
-                            return done(err);
+                            return fail(err);
                         }
-
-                        // Otherwise, continue to register actions.
-                        return this.registerActions(regErr => {
-                            // If the action registration has failed, leave straight away with the error.
-                            if (regErr) {
-                                return done(regErr);
-                            }
-                            // Otherwise, we're completely done loading this hook, mark it as loaded!
-                            hook.globalEntry.hasLoaded = true;
-                            hook.status = 'OK';
-                            // Just in the event this was the last hook and we've now finished, output some summary info:
-                            // TODO: move this to barmecide main
-                            if (sails.barmecide.finishedLoading()) {
-                                sails.log.info('[Barmecide]', 'All hooks finished loading!');
-                                sails.log.info('[Barmecide]', 'Loaded hooks summary:\n' + vanity.renderLoadInformation(sails.barmecide.activeHooks));
+                        // Run the underlying initialize method...
+                        hook.runPhase('initialize', next => hook.initialize(next), err => {
+                            // If an error was encountered, leave straight away.
+                            if (err) {
+                                return fail(err);
                             }
-                            // Emit an event which can be listened for, signalling that the hook has been completely loaded.
-                            sails.emit(`barmecide:hooks:${hook.globalEntry.name}:loaded`);
-                            return done();
+
+                            // Otherwise, continue to register actions.
+                            return this.registerActions(regErr => {
+                                // If the action registration has failed, leave straight away with the error.
+                                if (regErr) {
+                                    return fail(regErr);
+                                }
+                                // Otherwise, we're completely done loading this hook, mark it as loaded!
+                                hook.globalEntry.hasLoaded = true;
+                                hook.status = 'OK';
+                                hook.timings.finishedAt = Date.now();
+                                // Emit events which can be listened for, signalling that the hook has been completely loaded.
+                                sails.emit(`barmecide:hooks:${hook.globalEntry.name}:loaded`);
+                                sails.emit(`barmecide:hooks:${hook.globalEntry.name}:settled`);
+                                return done();
+                            });
                         });
                     });
                 });
             },
 
             registerActions(done) {
+                // A failed hook has been withdrawn, so it mustn't register anything again (i.e. when actions are reloaded).
+                if (hook.status === 'Failed') {
+                    return done();
+                }
+
                 // Attempt to run the hook-provided `registerActions` method...
-                hook.registerActions(err => {
+                hook.runPhase('registerActions', next => hook.callLifecycle('registerActions', cb => hook.registerActions(cb), err => {
                     // If an error was encountered, leave straight away.
                     if (err) {
-                        return done(err);
+                        return next(err);
                     }
                     // Otherwise, the user's custom actions have been registered successfully.
                     // We'll now merge controllers, if desired.
                     if (hook.prefs.merge.controllers) {
-                        hook.items.controllers = loader.loadControllers(sails, path.resolve(hook.path, './api/controllers/'));
+                        hook.items.controllers = loader.loadControllers(sails, path.resolve(hook.path, './api/controllers/'), hook.identity, {
+                            decisions: hook.actionDecisions,
+                            namespace: hook.prefs.namespace,
+                        });
                     }
-                    return done();
-                });
+                    return next();
+                }), done);
             },
 
             configure() {
-                // Run the underlying configure method.
+                // Raise anything which went wrong within `defaults()`, now that Sails is able to catch it.
+                if (hook.defaultsError) {
+                    throw hook.defaultsError;
+                }
+
+                // Run the underlying configure method, then ensure it's left our config in a valid state.
+                const start = process.hrtime();
                 hook.configure();
+                hook.validateConfig(sails.config[this.configKey], 'configure()');
+
+                // Note down the capabilities we provide, so hooks requiring these may find us before we've loaded.
+                const provided = hook.provides();
+                if (!(provided instanceof Object) || Array.isArray(provided)) {
+                    throw new Error(`Expected \`provides()\` of hook "${hook.identity}" to return an object of capabilities, but instead found: ${JSON.stringify(provided)}`);
+                }
+                hook.provided = provided;
 
                 // Update the internal merge preferences.
                 const barmecideConfig = (sails.config[this.configKey] instanceof Object) && (sails.config[this.configKey].barmecide instanceof Object)
                     ? sails.config[this.configKey].barmecide
                     : {};
-                ['controllers', 'services', 'policies', 'models', 'config'].forEach(key => {
-                    hook.prefs.merge[key] = (barmecideConfig[key] !== false);
+                ['controllers', 'services', 'policies', 'helpers', 'models', 'config'].forEach(key => {
+                    hook.prefs.merge[key] = !hook.isStandalone && (barmecideConfig[key] !== false);
                 });
 
-                // Merge models, if desired.
+                // Merge models, if desired, along with any model extensions (which are applied once all models are known).
                 if (hook.prefs.merge.models) {
-                    hook.items.models = loader.loadModels(sails, path.resolve(hook.path, './api/models/'));
+                    hook.items.models = loader.loadModels(sails, path.resolve(hook.path, './api/models/'), hook.identity);
+                    loader.loadModelExtensions(sails, path.resolve(hook.path, './api/model-extensions/'), hook.identity, hook.modelExtensions());
                 }
                 // Merge services, if desired.
                 if (hook.prefs.merge.services) {
-                    hook.items.services = loader.loadServices(sails, path.resolve(hook.path, './api/services/'));
+                    hook.items.services = loader.loadServices(sails, path.resolve(hook.path, './api/services/'), hook.identity);
                 }
+                // Determine whether or not our policies and helpers should be namespaced by the hook identity.
+                hook.prefs.namespacePolicies = (barmecideConfig.namespacePolicies === true);
+                hook.prefs.namespaceHelpers = (barmecideConfig.namespaceHelpers === true);
+
                 // Merge policies, if desired.
                 if (hook.prefs.merge.policies) {
-                    hook.items.policies = loader.loadPolicies(sails, path.resolve(hook.path, './api/policies/'));
+                    hook.items.policies = loader.loadPolicies(sails, path.resolve(hook.path, './api/policies/'), hook.identity, {
+                        namespace: hook.prefs.namespacePolicies ? hook.identity : undefined,
+                        mappings: hook.policyMappings,
+                        actionNamespace: hook.prefs.namespace,
+                    });
                 }
+                // Merge helpers, if desired.
+                if (hook.prefs.merge.helpers) {
+                    hook.items.helpers = loader.loadHelpers(sails, path.resolve(hook.path, './api/helpers/'), hook.identity, {
+                        namespace: hook.prefs.namespaceHelpers ? hook.identity : undefined,
+                    });
+                }
+
+                hook.recordPhase('configure', start);
 
+                // Once every hook has been configured, all models are known, so our model extensions may be applied
+                // and the final definitions snapshotted (before the ORM gets its hands on them).
+                if (sails.barmecide.activeHooks.every(active => active.timings.phases.configure !== undefined)) {
+                    loader.applyModelExtensions(sails);
+                    loader.snapshotModels(sails);
+                }
             },
 
             /**
@@ -190,17 +714,25 @@ module.exports = class BarmecideHook {
              * should be used to perform any setup which cannot be done in just the constructor.
              */
             defaults(overrides) {
+                // This is where loading begins, as far as we're concerned.
+                hook.timings.startedAt = Date.now();
+                const start = process.hrtime();
+
                 // Patch the underlying hook, with our identity and configKey from the crafted, loading hook.
                 hook.identity = this.identity;
                 hook.configKey = this.configKey;
                 hook.sailsHook = this;
                 hook.globalEntry = sails.barmecide.findHook(this.identity);
+                // A hook living at the app root is being run standalone (being the app itself).
+                hook.isStandalone = path.resolve(hook.path) === path.resolve(sails.config.appPath);
 
-                // Add the hook instance to our global entry, if defined.
+                // Add the hook instance to our global entry, if defined. Sails doesn't catch errors thrown from here,
+                // so any are kept to be raised from `configure()` instead (where Sails fails the lift with them).
                 if (hook.globalEntry) {
                     hook.globalEntry.instance = hook;
                 } else {
-                    throw new Error(`Failed to find hook with identity "${this.identity}". Please ensure you've all node packages installed properly.`);
+                    hook.defaultsError = new Error(`Failed to find hook with identity "${this.identity}". Please ensure you've all node packages installed properly.`);
+                    return {};
                 }
 
                 // Call our underlying defaults function, retrieving defaults, or using a basic object if none were found.
@@ -208,7 +740,12 @@ module.exports = class BarmecideHook {
                 defaults = (defaults instanceof Object) ? defaults : {};
 
                 // Import all our configuration files so we can check our hook info.
-                const config = loader.loadConfig(path.resolve(hook.path, './config/'));
+                // Environment-specific config is applied just as Sails would, though `config/local.js` is only
+                // honoured where the hook is running standalone (being the app itself).
+                const config = loader.loadConfig(path.resolve(hook.path, './config/'), {
+                    environment: sails.config.environment,
+                    local: hook.isStandalone,
+                });
 
                 // Generate a basic merged configuration, so we can check if should actually merge our configuration (or anything, for that matter).
                 const mergedConfig = _.defaultsDeep({}, sails.config, defaults, config);
@@ -217,15 +754,30 @@ module.exports = class BarmecideHook {
                     ? mergedConfig[this.configKey].barmecide
                     : {};
 
+                // Ensure the config we've wound up with is valid before relying on any of it.
+                try {
+                    hook.validateConfig(mergedConfig[this.configKey], 'defaults()');
+                } catch (err) {
+                    hook.defaultsError = err;
+                    return {};
+                }
+
                 // Determine whether or not everything should be merged in for later on.
-                // Right now this is pretty lax, with any non-false value resulting in a merge.
-                // A warning could be issued if any non-boolean value is given...
-                ['controllers', 'services', 'policies', 'models', 'config'].forEach(key => {
-                    hook.prefs.merge[key] = (barmecideConfig[key] !== false);
+                // Validation ensures these are all booleans, so any non-false value results in a merge.
+                // When running standalone, Sails loads everything (bootstrap included) as the app's own, so we mustn't.
+                ['controllers', 'services', 'policies', 'helpers', 'models', 'config'].forEach(key => {
+                    hook.prefs.merge[key] = !hook.isStandalone && (barmecideConfig[key] !== false);
                 });
 
+                // Determine whether or not the hook is optional, in which case a failure to load only disables it.
+                hook.prefs.optional = barmecideConfig.optional === true;
+                // Pull out any hook-specific phase timeout, which takes precedence over the global one.
+                hook.prefs.timeout = barmecideConfig.timeout;
+                // Pull out any namespace, which prefixes our action identities and imported routes.
+                hook.prefs.namespace = barmecideConfig.namespace;
+
                 // Determine whether or not we should apply the special bootstrap merge behaviour or not.
-                hook.prefs.bootstrap = barmecideConfig.bootstrap !== false;
+                hook.prefs.bootstrap = !hook.isStandalone && (barmecideConfig.bootstrap !== false);
                 // If we've magic bootstrapping enabled, handle it.
                 if (hook.prefs.bootstrap) {
                     // If the bootstrap key is a proper function, use it as our handler, otherwise keep the default.
@@ -234,23 +786,41 @@ module.exports = class BarmecideHook {
                     delete config.bootstrap;
                 }
 
-                // Merge our configuration in, if desired.
+                // Pull out any default policy mappings, as these are applied alongside our policies (rather than
+                // deep-merged into the config, which would mix up the app's policy lists with our own).
+                if (config.policies instanceof Object) {
+                    hook.policyMappings = config.policies;
+                    delete config.policies;
+                }
+
+                // Pull out any routes, as these are imported alongside the app's own (and namespaced, if desired)
+                // rather than deep-merged into the config.
+                const routes = (config.routes instanceof Object) ? config.routes : {};
+                delete config.routes;
+
+                // Merge our configuration in, if desired, recording every key we wind up providing.
                 if (hook.prefs.merge.config) {
+                    hook.recordConfigProvenance(config);
                     _.defaultsDeep(sails.config, config);
                     hook.items.config = config;
+
+                    hook.importedRoutes = loader.importRoutes(sails, routes, hook.identity, {
+                        namespace: hook.prefs.namespace,
+                        actions: loader.findActionIdentities(path.resolve(hook.path, './api/controllers/')),
+                    });
+                    Object.keys(hook.importedRoutes).forEach(address => {
+                        sails.barmecide.provenance.config[`routes.${address}`] = [hook.identity];
+                    });
                 }
 
-                // Return the retrieved defaults.
+                // Return the retrieved defaults (which Sails merges in once we're done), noting what they'll provide.
+                hook.recordConfigProvenance(defaults);
+                hook.recordPhase('defaults', start);
                 return defaults;
             },
 
-            routes() {
-                // Call the underlying routes function to retrieve any hook-defined routes.
-                const routes = hook.routes();
-
-                // Return the retrieved routes value if it's a proper object, otherwise a plain empty object.
-                return (routes instanceof Object) ? routes : {};
-            },
+            // Sails binds these once the router is ready, long after we've filled them in during initialize.
+            routes,
 
         };
     }
@@ -0,0 +1,154 @@
+const path = require('path');
+const _ = require('lodash');
+const loader = require('./loader');
+
+/**
+ * Provides provenance lookups and hook state descriptions, used to figure out which hook (if any)
+ * contributed a given item when debugging.
+ */
+module.exports = {
+
+    /**
+     * The path the inspector route is bound to, where none has been configured.
+     */
+    DEFAULT_ROUTE: '/__barmecide',
+
+    /**
+     * Finds the contributors of the given item, in the order they were merged in. Contributors are
+     * hook names, or `'app'` for the app itself. Items registered by something other than the app or
+     * a Barmecide hook (i.e. Sails core, blueprints or plain hooks) are reported as `'sails'`.
+     *
+     * @param {Object} sails - The Sails instance to inspect.
+     * @param {string} type - The type of item: 'model', 'attribute', 'service', 'action' or 'config'.
+     * @param {string} identity - The identity of the item. Attributes are given as `model.attribute`,
+     * and config keys as a dot-delimited path (i.e. `session.secret`).
+     *
+     * @returns {string[]} The list of contributors, which is empty if the item doesn't exist.
+     *
+     * @throws {Error} If the given type is unknown.
+     */
+    whoProvides(sails, type, identity) {
+        const provenance = sails.barmecide.provenance;
+        identity = String(identity);
+
+        switch (type) {
+            case 'model': {
+                const model = provenance.models[identity.toLowerCase()];
+                if (model) {
+                    return model.sources.slice();
+                }
+                return (sails.models instanceof Object) && (identity.toLowerCase() in sails.models) ? ['sails'] : [];
+            }
+            case 'attribute': {
+                const [modelIdent, attrName] = identity.split('.');
+                const model = provenance.models[modelIdent.toLowerCase()];
+                return (model && model.attributes[attrName]) ? model.attributes[attrName].slice() : [];
+            }
+            case 'service':
+                return (provenance.services[identity.toLowerCase()] || []).slice();
+            case 'action': {
+                const actionIdent = identity.toLowerCase();
+                if (provenance.actions[actionIdent]) {
+                    return provenance.actions[actionIdent].slice();
+                }
+                if (loader.findAppActionIdentities(sails).includes(actionIdent)) {
+                    return ['app'];
+                }
+                return (sails._actions instanceof Object) && (actionIdent in sails._actions) ? ['sails'] : [];
+            }
+            case 'config':
+                return this.whoProvidesConfig(sails, identity);
+            default:
+                throw new Error(`Unknown item type "${type}". Expected one of: model, attribute, service, action, config.`);
+        }
+    },
+
+    /**
+     * Finds the contributors of the given config key path. Where the key was set by some hook, that
+     * hook is returned. Where the key is an object holding values from several contributors, all are
+     * returned. Otherwise any existing key is considered to have been provided by the app (or Sails).
+     *
+     * @param {Object} sails - The Sails instance to inspect.
+     * @param {string} keyPath - The dot-delimited config key path (i.e. `session.secret`).
+     *
+     * @returns {string[]} The list of contributors, which is empty if the key isn't set.
+     */
+    whoProvidesConfig(sails, keyPath) {
+        const provenance = sails.barmecide.provenance.config;
+
+        // If this key (or one of its parents) was set wholesale by a hook, we've our answer.
+        const segments = keyPath.split('.');
+        for (let i = segments.length; i > 0; i--) {
+            const sources = provenance[segments.slice(0, i).join('.')];
+            if (sources) {
+                return sources.slice();
+            }
+        }
+
+        // If we've no such key at all, nobody provides it.
+        if (!_.has(sails.config, segments)) {
+            return [];
+        }
+
+        // Otherwise, collect hooks providing any children, along with the app where it provides the rest.
+        const childPaths = Object.keys(provenance).filter(p => p.startsWith(`${keyPath}.`));
+        const hookSources = _.uniq(_.flatten(childPaths.map(p => provenance[p])));
+        const value = _.get(sails.config, segments);
+        const providesAll = _.isPlainObject(value) && (childPaths.length > 0) && Object.keys(value).every(key => {
+            return childPaths.some(p => (p === `${keyPath}.${key}`) || p.startsWith(`${keyPath}.${key}.`));
+        });
+
+        return providesAll ? hookSources : ['app', ...hookSources];
+    },
+
+    /**
+     * Generates a plain, JSON-friendly description of the Barmecide state: the hook listing with its
+     * versions and statuses, the items each hook merged in, and the provenance of all items.
+     *
+     * @param {Object} sails - The Sails instance to describe.
+     *
+     * @returns {Object} The description object.
+     */
+    describe(sails) {
+        const barmecide = sails.barmecide;
+
+        return {
+            finishedLoading: barmecide.finishedLoading(),
+            hooks: barmecide.hooksListing.map(entry => ({
+                name: entry.name,
+                packageName: entry.packageName,
+                version: entry.version,
+                path: path.dirname(entry.packageFilePath),
+                isMainHook: entry.isMainHook,
+                isDependencyHook: entry.isDependencyHook,
+                status: entry.instance ? entry.instance.status : 'Not loaded',
+                dependencies: entry.dependencies,
+                loadAfter: barmecide.loadGraph[entry.name] || [],
+                retargeted: entry.retargets.map(copy => ({ version: copy.version, path: path.dirname(copy.packageFilePath) })),
+                items: entry.instance ? _.mapValues(entry.instance.items, Object.keys) : {},
+            })),
+            provenance: barmecide.provenance,
+        };
+    },
+
+    /**
+     * Binds the inspector route, if enabled through `sails.config.barmecide.inspector`. The route is
+     * never bound in production, as it exposes the inner workings of the app.
+     *
+     * The inspector may be enabled with `true`, or a string giving the path to bind it to.
+     *
+     * @param {Object} sails - The Sails instance to bind the route on.
+     */
+    bindRoute(sails) {
+        const setting = (sails.config.barmecide instanceof Object) ? sails.config.barmecide.inspector : undefined;
+
+        // Leave if the inspector isn't wanted, or if we're in production.
+        if (!setting || (sails.config.environment === 'production')) {
+            return;
+        }
+
+        const routePath = (typeof setting === 'string') ? setting : this.DEFAULT_ROUTE;
+        sails.router.bind(`get ${routePath}`, (req, res) => res.json(this.describe(sails)));
+    },
+
+};
@@ -1,68 +1,319 @@
 
 const fs = require('fs');
+const pathUtil = require('path');
 const includeAll = require('include-all');
 const _ = require('lodash');
+const conflicts = require('./conflicts');
 
 module.exports = {
 
-    loadConfig(path) {
-        const config = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
-            dirname: path,
-            filter: /^(.+).js$/,
-            excludeDirs: /^env$/,
-            recursive: true,
-            flatten: true,
-        }) : {};
+    /**
+     * Loads all config files from the given config directory, mirroring the way Sails loads an app's
+     * config: the base config files are merged with any `env/<environment>/**` files, then any
+     * `env/<environment>.js` file, and finally `local.js` (only where desired), each taking precedence
+     * over the last.
+     *
+     * @param {string} path - The config directory from which config should be loaded.
+     * @param {Object} [options] - Additional loading options.
+     * @param {string} [options.environment='development'] - The environment whose config should be applied.
+     * @param {boolean} [options.local=false] - Whether or not `local.js` should be applied. Sails only
+     * honours this file for the app itself, so it should only be applied when the hook runs standalone.
+     *
+     * @returns {Object} The merged config object.
+     */
+    loadConfig(path, options = {}) {
+        const environment = options.environment || 'development';
 
-        // Handle mapping values to just their exported config block names, rather than filename.exportName.
-        return Object.values(config).reduce((acc, val) => {
-            return Object.assign(acc, val);
-        }, {});
+        // Loads the config files matching the given filter from the given directory, mapping values to just
+        // their exported config block names, rather than filename.exportName.
+        const loadFiles = (dirname, filter, extra = {}) => {
+            const config = fs.existsSync(dirname) && fs.statSync(dirname).isDirectory() ? includeAll(Object.assign({
+                dirname,
+                filter,
+                flatten: true,
+            }, extra)) : {};
+
+            return Object.values(config).reduce((acc, val) => {
+                return Object.assign(acc, val);
+            }, {});
+        };
+
+        const baseConfig = loadFiles(path, /^(.+)\.js$/, {
+            exclude: [/^local\.js$/],
+            excludeDirs: /^(env|locales)$/,
+        });
+        const envDirConfig = loadFiles(pathUtil.resolve(path, 'env', environment), /^(.+)\.js$/);
+        const envFileConfig = loadFiles(pathUtil.resolve(path, 'env'), new RegExp(`^(${_.escapeRegExp(environment)})\\.js$`), { depth: 1 });
+        const localConfig = options.local ? loadFiles(path, /^(local)\.js$/, { depth: 1 }) : {};
+
+        // Merge into a fresh object, as the loaded values are the (cached) config modules themselves.
+        return _.merge({}, baseConfig, envDirConfig, envFileConfig, localConfig);
+    },
+
+    /**
+     * Finds the identities of all actions defined by the app itself, within its controllers directory.
+     * Sails registers these only once all hooks have loaded, so they must be found up-front to be able
+     * to detect any collisions.
+     *
+     * @param {Object} sails - The Sails instance whose app actions should be found.
+     *
+     * @returns {string[]} The list of app action identities.
+     */
+    findAppActionIdentities(sails) {
+        return this.findActionIdentities(sails.config.paths.controllers);
+    },
+
+    /**
+     * Finds the identities of all actions defined within the given controllers directory, just as Sails
+     * would identify them.
+     *
+     * @param {string} path - The controllers directory to search.
+     *
+     * @returns {string[]} The list of action identities.
+     */
+    findActionIdentities(path) {
+        return this.findActions(path).actions.map(entry => entry.identity);
     },
 
-    loadControllers(sails, path) {
-        // Import any raw controller definitons.
-        const controllers = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
+    /**
+     * Finds all actions defined within the given controllers directory, identified exactly as Sails
+     * identifies the app's own actions:
+     * - Traditional controllers (i.e. `foo/UserController.js`) provide an action for each of their keys
+     *   (i.e. `foo/user/find`), while any `_config` key is taken as blueprint config for the controller.
+     * - Standalone action files (i.e. `user/create.js`) provide a single action, identified by their path
+     *   (i.e. `user/create`).
+     *
+     * Either may be a plain function, or an actions2 (machine) definition. Anything else is skipped.
+     *
+     * @param {string} path - The controllers directory to search.
+     *
+     * @returns {Object} An object of the form `{ actions, controllers }`, where `actions` lists each action
+     * as `{ identity, action, filePath, controller }` (`controller` being the identity of its traditional
+     * controller, if any), and `controllers` holds each traditional controller (as
+     * `{ module, config }`) keyed by its identity.
+     */
+    findActions(path) {
+        const files = fs.existsSync(path) && fs.statSync(path).isDirectory() ? includeAll({
             dirname: path,
-            filter: new RegExp('(.+)Controller\\.js$'),
+            filter: /(^[^.]+\.(?:(?!md|txt).)+$)/,
             flatten: true,
             keepDirectoryPath: true,
         }) : {};
 
-        // Handle action registration for each controller.
-        Object.keys(controllers).forEach(controllerName => {
-            const controller = controllers[controllerName];
-            const controllerIdent = controllerName.toLowerCase().replace(/\\/g, '/');
+        // These are the very same patterns Sails matches the app's controller files against.
+        const traditionalRegex = /^((?:(?:.*)\/)*([0-9A-Z][0-9a-zA-Z_]*))Controller\..+$/;
+        const actionRegex = /^((?:(?:.*)\/)*([a-z][a-z0-9-]*))\..+$/;
+        const isAction = action => (action instanceof Function) || ((action instanceof Object) && (
+            (action.machine !== undefined) || (action.friendlyName !== undefined) || (action.fn instanceof Function)
+        ));
+
+        const result = { actions: [], controllers: {} };
+        Object.keys(files).forEach(fileKey => {
+            const module = files[fileKey];
+
+            // Any dots within subdirectory names are taken as path separators, just as Sails does.
+            let filePath = fileKey.replace(/\\/g, '/');
+            if (filePath[0] === '.') {
+                return;
+            }
+            if (pathUtil.posix.dirname(filePath) !== '.') {
+                filePath = `${pathUtil.posix.dirname(filePath).replace(/\./g, '/')}/${pathUtil.posix.basename(filePath)}`;
+            }
+
+            // Is it a traditional controller? Barmecide has always taken any `*Controller.js` file as one, so those
+            // which Sails would skip (i.e. `fooController.js`) are still loaded, rather than silently dropped.
+            const controllerMatch = traditionalRegex.exec(filePath) || /^(.+)Controller\.js$/.exec(filePath);
+            if (controllerMatch) {
+                if (!(module instanceof Object) || Array.isArray(module) || (module instanceof Function)) {
+                    return;
+                }
+                const controllerIdent = controllerMatch[1].toLowerCase();
+                result.controllers[controllerIdent] = { module, config: module._config };
+                Object.keys(module).filter(actionName => (actionName !== '_config') && isAction(module[actionName])).forEach(actionName => {
+                    result.actions.push({
+                        identity: `${controllerIdent}/${actionName.toLowerCase()}`,
+                        action: module[actionName],
+                        filePath,
+                        controller: controllerIdent,
+                    });
+                });
+                return;
+            }
+
+            // Otherwise, is it a standalone action?
+            const actionMatch = actionRegex.exec(filePath);
+            if (actionMatch && isAction(module)) {
+                result.actions.push({ identity: actionMatch[1].toLowerCase(), action: module, filePath });
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Registers every action within the given controllers directory (from both traditional controllers and
+     * standalone action files, as found by `findActions`), resolving any collisions with the actions of the
+     * app or other hooks.
+     *
+     * @param {Object} sails - The Sails instance to register the actions with.
+     * @param {string} path - The controllers directory to load from.
+     * @param {string} [source='app'] - The identity of whoever is providing these actions.
+     * @param {Object} [options] - Additional loading options.
+     * @param {string} [options.namespace] - A namespace to prefix action identities with. If given, the
+     * action `health/check` will instead be registered as `namespace/health/check`.
+     * @param {Object} [options.decisions] - The collision decisions made when these actions were last
+     * loaded, keyed by action identity. Such collisions are decided the same way again, without being
+     * warned about anew, while any new decisions are noted down within.
+     *
+     * @returns {Object} The loaded traditional controllers and standalone actions, keyed by identity.
+     */
+    loadControllers(sails, path, source = 'app', options = {}) {
+        const found = this.findActions(path);
+
+        // Grab our action provenance records, along with the app's own actions, so we may detect collisions.
+        const provenance = sails.barmecide.provenance.actions;
+        const appActions = this.findAppActionIdentities(sails);
+        // Any collisions already resolved (when actions were last loaded) are decided the same way again, without
+        // raising them anew. New decisions are noted down here too, ready for the next time actions are reloaded.
+        const decisions = (options.decisions instanceof Object) ? options.decisions : {};
+
+        // Keep track of everything loaded, that is, each controller and standalone action.
+        const loaded = {};
 
-            // Loop through all fields, though we'll handle only actions (functions).
-            Object.keys(controller).forEach(actionName => {
-                const action = controller[actionName];
-                const actionIdent = `${controllerIdent}/${actionName.toLowerCase()}`;
+        found.actions.forEach(entry => {
+            const actionIdent = this.toNamespacedIdentity(entry.identity, options.namespace);
+            const action = entry.action;
 
-                // Skip if this isn't actually an action.
-                if (!(action instanceof Function)) {
+            // Check whether the app or another hook already provides this action, resolving any collision. Actions
+            // registered by anyone else (i.e. a normal Sails hook) aren't tracked by us, but collide all the same.
+            const isRegistered = (sails._actions[actionIdent] !== undefined);
+            const trackedSource = appActions.includes(actionIdent) ? 'app' : (provenance[actionIdent] || [])[0];
+            const existingSource = ((trackedSource === undefined) && isRegistered) ? 'another Sails hook' : trackedSource;
+            if ((existingSource !== undefined) && (existingSource !== source)) {
+                const decision = (decisions[actionIdent] !== undefined)
+                    ? decisions[actionIdent]
+                    : conflicts.resolve(sails, 'actions', `Action "${actionIdent}"`, existingSource, source);
+                decisions[actionIdent] = decision;
+                if (decision === 'keep') {
+                    if (trackedSource !== undefined) {
+                        provenance[actionIdent] = [trackedSource];
+                    }
                     return;
                 }
+                // The app's actions are registered after our own, so the only way to take precedence over
+                // them is through `moduleDefinitions`, which Sails applies last of all.
+                if (existingSource === 'app') {
+                    _.set(sails.config, ['controllers', 'moduleDefinitions', actionIdent], action);
+                }
+            }
 
-                // Otherwise, all good, register it.
-                return sails.registerAction(action, actionIdent);
-            });
+            // Otherwise, all good, register it. Standalone actions are listed individually, as they've no controller.
+            provenance[actionIdent] = [source];
+            if (entry.controller === undefined) {
+                loaded[actionIdent] = action;
+            }
+            // Any action already registered is only replaced where it's our own, or we've won the collision above.
+            return sails.registerAction(action, actionIdent, isRegistered);
+        });
+
+        Object.keys(found.controllers).forEach(ident => {
+            const controllerIdent = this.toNamespacedIdentity(ident, options.namespace);
+            const controller = found.controllers[ident];
+            loaded[controllerIdent] = controller.module;
 
             // If the controller has options specified, take care to merge those in.
-            if (controller._config instanceof Object) {
+            if (controller.config instanceof Object) {
                 // Ensure the controller's settings field is a proper object.
                 sails.config.blueprints._controllers[controllerIdent] = (sails.config.blueprints._controllers[controllerIdent] instanceof Object)
                     ? sails.config.blueprints._controllers[controllerIdent]
                     : {};
                 // Handle the actual merging.
-                _.merge(sails.config.blueprints._controllers[controllerIdent], controller._config);
+                _.merge(sails.config.blueprints._controllers[controllerIdent], controller.config);
             }
         });
 
-        return controllers;
+        return loaded;
+    },
+
+    /**
+     * Imports the explicit routes of a hook (those from its `config/routes.js`) into the app's routes.
+     * Where a namespace is given, every route address is prefixed with it (i.e. `GET /health` becomes
+     * `GET /billing/health`), as is any target pointing at one of the hook's own actions (i.e.
+     * `health/check` becomes `billing/health/check`).
+     *
+     * The app always has the final say over imported routes, as its own routes are never overridden: it
+     * may remap an imported route by binding the same address to another target, or disable it entirely
+     * by binding the address to `false`.
+     *
+     * @param {Object} sails - The Sails instance to import the routes into.
+     * @param {Object} routes - The hook's routes, keyed by address.
+     * @param {string} [source='app'] - The identity of whoever is providing these routes.
+     * @param {Object} [options] - Additional loading options.
+     * @param {string} [options.namespace] - A namespace to prefix route addresses and action targets with.
+     * @param {string[]} [options.actions] - The (non-namespaced) identities of the hook's own actions.
+     *
+     * @returns {Object} The routes imported, keyed by their final address.
+     */
+    importRoutes(sails, routes, source = 'app', options = {}) {
+        const actions = (options.actions || []).map(ident => ident.toLowerCase());
+
+        // Prefixes the path of the given address, leaving the verb (if any) alone. Regular expression
+        // addresses (i.e. `r|^/foo$|`) can't be prefixed reliably, so these are kept as-is.
+        const toAddress = address => {
+            const match = /^((?:[a-z]+\s+)?)(\/.*)$/i.exec(address.trim());
+            if (!options.namespace || !match) {
+                return address;
+            }
+            return `${match[1]}/${options.namespace.toLowerCase()}${(match[2] === '/') ? '' : match[2]}`;
+        };
+        // Prefixes the given target where it points at one of our own actions, in either the `health/check`,
+        // `HealthController.check` or `{ action: 'health/check' }` forms.
+        const toTarget = target => {
+            const unwrapped = (target instanceof Object) && !(target instanceof Function) ? target.action : target;
+            if (!options.namespace || (typeof unwrapped !== 'string')) {
+                return target;
+            }
+            const ident = unwrapped.replace(/Controller\./, '/').replace(/\./g, '/').toLowerCase();
+            if (!actions.includes(ident)) {
+                return target;
+            }
+            const namespaced = this.toNamespacedIdentity(ident, options.namespace);
+            return (target instanceof Object) ? Object.assign({}, target, { action: namespaced }) : namespaced;
+        };
+
+        sails.config.routes = (sails.config.routes instanceof Object) ? sails.config.routes : {};
+
+        return Object.keys(routes || {}).reduce((acc, originalAddress) => {
+            const address = toAddress(originalAddress);
+            const existing = sails.config.routes[address];
+            if (existing === false) {
+                delete sails.config.routes[address];
+                sails.log.verbose('[Barmecide]', `Route "${address}" from "${source}" has been disabled by the app.`);
+                return acc;
+            }
+            if (existing !== undefined) {
+                sails.log.verbose('[Barmecide]', `Route "${address}" from "${source}" has been remapped by the app (or another hook).`);
+                return acc;
+            }
+            acc[address] = toTarget(routes[originalAddress]);
+            sails.config.routes[address] = acc[address];
+            return acc;
+        }, {});
+    },
+
+    /**
+     * Prefixes the given action (or controller) identity with the given namespace, if any.
+     *
+     * @param {string} ident - The identity to prefix (i.e. `health/check`).
+     * @param {string} [namespace] - The namespace to prefix with.
+     *
+     * @returns {string} The namespaced identity (i.e. `billing/health/check`).
+     */
+    toNamespacedIdentity(ident, namespace) {
+        return namespace ? `${namespace.toLowerCase()}/${ident}` : ident;
     },
 
-    loadModels(sails, path) {
+    loadModels(sails, path, source = 'app') {
         // Import the raw model definitions.
         const models = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
             dirname: path,
@@ -71,31 +322,276 @@ module.exports = {
             flatten: true,
         }) : {};
 
-        // Add the target models path to our list of loaded model directories (so we can patch these later). @Poop.
+        // Add the target models path to our list of loaded model directories (so these may be hot reloaded).
         if (!sails.barmecide.modelDirectories.includes(path)) {
             sails.barmecide.modelDirectories.push(path);
         }
 
-        // Transform the models so Sails is happy with them.
+        const definitions = sails.config.orm.moduleDefinitions.models;
+        const provenance = sails.barmecide.provenance.models;
+
+        // Transform the models so Sails is happy with them, leaving the required modules themselves alone.
         const transformedModels = {};
         Object.keys(models).forEach(modelName => {
             const ident = modelName.toLowerCase();
-            transformedModels[ident] = Object.assign(models[modelName], {
+            transformedModels[ident] = Object.assign({}, models[modelName], {
                 globalId: modelName,
                 identity: ident,
             });
 
-            // Add a reference to the module, so we can replace this instance in addition to the later required copy.
-            sails.barmecide.modelModules.push({ identity: ident, module: models[modelName] });
-        });
+            // Record ourselves as a contributor of the model.
+            provenance[ident] = provenance[ident] || { sources: [], attributes: {}, settings: {} };
+            provenance[ident].sources.push(source);
+
+            // Work out what should happen with each attribute, using a shallow copy so the module is left alone.
+            const incoming = Object.assign({}, transformedModels[ident]);
+            incoming.attributes = Object.assign({}, incoming.attributes);
+            Object.keys(incoming.attributes).forEach(attrName => {
+                const attrSources = provenance[ident].attributes[attrName] || [];
+                provenance[ident].attributes[attrName] = attrSources;
+
+                // If nobody else provides this attribute, there's no collision to resolve.
+                const existingSource = attrSources[attrSources.length - 1];
+                if ((existingSource === undefined) || (existingSource === source)) {
+                    return attrSources.includes(source) || attrSources.push(source);
+                }
+
+                const decision = conflicts.resolve(sails, 'models', `Attribute "${attrName}" of model "${ident}"`, existingSource, source);
+                if (decision === 'keep') {
+                    delete incoming.attributes[attrName];
+                } else if (decision === 'replace') {
+                    delete definitions[ident].attributes[attrName];
+                    attrSources.splice(0, attrSources.length, source);
+                } else {
+                    attrSources.push(source);
+                }
+            });
+
+            // Any other settings (i.e. `tableName` or lifecycle callbacks) collide just as attributes do, though only
+            // where the values actually differ. The identity and global ID are ours to set, so never collide.
+            Object.keys(incoming).filter(key => !['attributes', 'identity', 'globalId'].includes(key)).forEach(key => {
+                const keySources = provenance[ident].settings[key] || [];
+                provenance[ident].settings[key] = keySources;
+
+                const existingSource = keySources[keySources.length - 1];
+                const existing = definitions[ident] ? definitions[ident][key] : undefined;
+                if ((existingSource === undefined) || (existingSource === source) || _.isEqual(existing, incoming[key])) {
+                    return keySources.includes(source) || keySources.push(source);
+                }
 
-        // Merge in the transformed models.
-        _.merge(sails.config.orm.moduleDefinitions.models, transformedModels);
+                const decision = conflicts.resolve(sails, 'models', `Setting "${key}" of model "${ident}"`, existingSource, source);
+                if (decision === 'keep') {
+                    delete incoming[key];
+                } else if (decision === 'replace') {
+                    delete definitions[ident][key];
+                    keySources.splice(0, keySources.length, source);
+                } else {
+                    keySources.push(source);
+                }
+            });
+
+            // Merge in the transformed model.
+            definitions[ident] = _.merge(definitions[ident] || {}, incoming);
+        });
 
         return transformedModels;
     },
 
-    loadServices(sails, path) {
+    /**
+     * Takes an immutable snapshot of every merged model definition, before these are handed to the ORM.
+     * Sails alters the definitions it's given (i.e. moving attribute validations such as `isIn` under
+     * `validations`), so the snapshots are the only reliable record of the original definitions, and are
+     * made available through `sails.barmecide.getModelDefinition()`.
+     *
+     * @param {Object} sails - The Sails instance whose model definitions should be snapshotted.
+     */
+    snapshotModels(sails) {
+        const definitions = sails.config.orm.moduleDefinitions.models;
+        sails.barmecide.modelSnapshots = Object.keys(definitions).reduce((acc, ident) => {
+            acc[ident] = deepFreeze(_.cloneDeep(definitions[ident]));
+            return acc;
+        }, {});
+    },
+
+    /**
+     * The model lifecycle callbacks which extensions may add to, being composed with any existing
+     * callbacks rather than replacing them.
+     */
+    MODEL_LIFECYCLE_CALLBACKS: ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDestroy', 'afterDestroy'],
+
+    /**
+     * Loads the model extensions within the given directory (along with any given extension objects),
+     * adding them to the Barmecide state so they may be applied once all models are known. Each file
+     * targets the model sharing its name by default (i.e. `User.js` extends `user`), unless it exports
+     * a `target` of its own. A `target` may be a model identity, a glob (i.e. `'*'` or `'audit*'`), a
+     * list of either, or a predicate function called with each model's identity and definition.
+     *
+     * @param {Object} sails - The Sails instance the extensions should be added to.
+     * @param {string} path - The model extensions directory to load from.
+     * @param {string} [source='app'] - The identity of whoever is providing these extensions.
+     * @param {Object[]} [extra=[]] - Any further extension objects (i.e. from a hook's `modelExtensions()`),
+     * each of which must specify its `target`.
+     *
+     * @returns {Object[]} The loaded extension entries, of the form `{ source, name, target, extension }`.
+     *
+     * @throws {Error} If any extension has an invalid target.
+     */
+    loadModelExtensions(sails, path, source = 'app', extra = []) {
+        const files = fs.existsSync(path) && fs.statSync(path).isDirectory() ? includeAll({
+            dirname: path,
+            filter: /^(.+)\.js$/,
+            replaceExpr: /^.*\//,
+            flatten: true,
+        }) : {};
+
+        const entries = [
+            ...Object.keys(files).map(name => ({
+                source,
+                name: `${name}.js`,
+                target: (files[name].target !== undefined) ? files[name].target : name.toLowerCase(),
+                extension: files[name],
+            })),
+            ...(Array.isArray(extra) ? extra : []).map((extension, idx) => ({
+                source,
+                name: `modelExtensions()[${idx}]`,
+                target: (extension instanceof Object) ? extension.target : undefined,
+                extension,
+            })),
+        ];
+
+        // Make sure every target makes sense now, rather than failing to match anything later on.
+        entries.forEach(entry => {
+            const targets = Array.isArray(entry.target) ? entry.target : [entry.target];
+            const valid = (entry.target instanceof Function) || targets.every(target => (typeof target === 'string') && (target.length > 0));
+            if (!(entry.extension instanceof Object) || !valid) {
+                throw new Error(`Model extension ${entry.name} from "${source}" should specify a target model identity, glob, list or predicate.`);
+            }
+        });
+
+        sails.barmecide.modelExtensions.push(...entries);
+        return entries;
+    },
+
+    /**
+     * Applies every loaded model extension to the merged model definitions. Extensions are applied in
+     * hook load order (and in the order each hook provided them), so lifecycle callbacks run in a defined
+     * order: the model's own callback first, then those of each extension in turn.
+     *
+     * @param {Object} sails - The Sails instance whose model definitions should be extended.
+     */
+    applyModelExtensions(sails) {
+        const definitions = sails.config.orm.moduleDefinitions.models;
+        const loadOrder = ['app', ...sails.barmecide.hooksListing.map(entry => entry.name)];
+        const entries = _.sortBy(sails.barmecide.modelExtensions, entry => loadOrder.indexOf(entry.source));
+
+        entries.forEach(entry => {
+            const identities = Object.keys(definitions).filter(ident => this.matchesModelTarget(entry.target, ident, definitions[ident]));
+
+            // An extension naming a specific model which doesn't exist is most likely a mistake.
+            const isExplicit = (typeof entry.target === 'string') && !/[*?]/.test(entry.target);
+            if ((identities.length === 0) && isExplicit) {
+                sails.barmecide.warn(entry.source, `Model extension ${entry.name} from "${entry.source}" targets the model "${entry.target}", which doesn't exist.`);
+            }
+
+            identities.forEach(ident => this.extendModel(sails, ident, entry));
+        });
+    },
+
+    /**
+     * Determines whether the given model is targeted by an extension target.
+     *
+     * @param {string|string[]|Function} target - The extension target: an identity or glob, a list of
+     * either, or a predicate function.
+     * @param {string} ident - The model identity.
+     * @param {Object} definition - The model definition.
+     *
+     * @returns {boolean} Whether or not the model is targeted.
+     */
+    matchesModelTarget(target, ident, definition) {
+        if (target instanceof Function) {
+            return !!target(ident, definition);
+        }
+        return (Array.isArray(target) ? target : [target]).some(glob => {
+            const pattern = glob.toLowerCase().split('*').map(part => _.escapeRegExp(part).replace(/\\\?/g, '.')).join('.*');
+            return new RegExp(`^${pattern}$`).test(ident);
+        });
+    },
+
+    /**
+     * Applies a single extension to the given model definition: adding its attributes (resolving any
+     * collisions as for whole models), composing its lifecycle callbacks with the existing ones, and
+     * setting any other keys the model doesn't already define.
+     *
+     * @param {Object} sails - The Sails instance the model belongs to.
+     * @param {string} ident - The identity of the model to extend.
+     * @param {Object} entry - The extension entry, as loaded by `loadModelExtensions`.
+     */
+    extendModel(sails, ident, entry) {
+        const definition = sails.config.orm.moduleDefinitions.models[ident];
+        const extension = entry.extension;
+        const source = entry.source;
+
+        const provenance = sails.barmecide.provenance.models;
+        provenance[ident] = provenance[ident] || { sources: [], attributes: {}, settings: {} };
+        provenance[ident].extensions = _.uniq([...(provenance[ident].extensions || []), source]);
+
+        // Add our attributes, resolving collisions just as when merging whole models.
+        definition.attributes = definition.attributes || {};
+        Object.keys(extension.attributes || {}).forEach(attrName => {
+            const attrSources = provenance[ident].attributes[attrName] || [];
+            provenance[ident].attributes[attrName] = attrSources;
+            const incoming = _.cloneDeep(extension.attributes[attrName]);
+
+            const existingSource = attrSources[attrSources.length - 1];
+            if ((definition.attributes[attrName] === undefined) || (existingSource === undefined) || (existingSource === source)) {
+                definition.attributes[attrName] = _.merge(definition.attributes[attrName] || {}, incoming);
+                return attrSources.includes(source) || attrSources.push(source);
+            }
+
+            const decision = conflicts.resolve(sails, 'models', `Attribute "${attrName}" of model "${ident}"`, existingSource, source);
+            if (decision === 'replace') {
+                definition.attributes[attrName] = incoming;
+                attrSources.splice(0, attrSources.length, source);
+            } else if (decision === 'merge') {
+                _.merge(definition.attributes[attrName], incoming);
+                attrSources.push(source);
+            }
+        });
+
+        // Compose our lifecycle callbacks, so that every contributor's callback gets to run (in order).
+        this.MODEL_LIFECYCLE_CALLBACKS.filter(name => extension[name] instanceof Function).forEach(name => {
+            definition[name] = this.composeLifecycleCallbacks(definition[name], extension[name]);
+        });
+
+        // Anything else is only a default, as the model's own settings take precedence. These are copied, as
+        // Sails alters the definitions it's given, and the extension module may well be shared by other apps.
+        Object.keys(extension)
+            .filter(key => !['target', 'attributes', ...this.MODEL_LIFECYCLE_CALLBACKS].includes(key))
+            .filter(key => definition[key] === undefined)
+            .forEach(key => {
+                definition[key] = _.cloneDeep(extension[key]);
+            });
+    },
+
+    /**
+     * Composes two Waterline lifecycle callbacks into one, running the first then the second. Should
+     * the first pass along an error, the second is skipped and the error passed straight on.
+     *
+     * @param {Function} [first] - The existing callback, if any.
+     * @param {Function} second - The callback to run afterwards.
+     *
+     * @returns {Function} The composed callback, of the form `(arg, proceed)`.
+     */
+    composeLifecycleCallbacks(first, second) {
+        if (!(first instanceof Function)) {
+            return second;
+        }
+        return function (arg, proceed) {
+            return first.call(this, arg, err => (err ? proceed(err) : second.call(this, arg, proceed)));
+        };
+    },
+
+    loadServices(sails, path, source = 'app') {
         // Load all raw service definitions.
         const services = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
             dirname: path,
@@ -104,6 +600,16 @@ module.exports = {
             caseSensitive: true,
         }) : {};
 
+        // Find the names of the app's own services, so we may detect collisions.
+        const appServices = Object.keys(includeAll({
+            dirname: sails.config.paths.services,
+            filter: /^(.+)\.(?:(?!md|txt).)+$/,
+            depth: 1,
+            optional: true,
+            dontLoad: true,
+        })).map(name => name.toLowerCase());
+        const provenance = sails.barmecide.provenance.services;
+
         // Transform the services so Sails is happy with them.
         const transformedServices = {};
         Object.keys(services).forEach(modelName => {
@@ -112,20 +618,246 @@ module.exports = {
                 globalId: modelName,
                 identity: ident,
             }, services[modelName]);
+
+            // If nobody else provides this service, there's no collision to resolve.
+            const serviceSources = provenance[ident] || (appServices.includes(ident) ? ['app'] : []);
+            provenance[ident] = serviceSources;
+            const existingSource = serviceSources[serviceSources.length - 1];
+            if ((existingSource === undefined) || (existingSource === source)) {
+                return serviceSources.includes(source) || serviceSources.push(source);
+            }
+
+            // Otherwise, figure out what should happen with our incoming service. Sails only loads the app's own
+            // services once all hooks are configured (replacing ours), so anything to be applied over the app's is
+            // kept for later.
+            const decision = conflicts.resolve(sails, 'services', `Service "${ident}"`, existingSource, source);
+            if ((existingSource === 'app') && (decision !== 'keep')) {
+                sails.barmecide.serviceOverrides[ident] = { decision, service: undefined };
+            }
+            if (decision === 'keep') {
+                delete transformedServices[ident];
+            } else if (decision === 'replace') {
+                delete sails.services[ident];
+                serviceSources.splice(0, serviceSources.length, source);
+            } else {
+                serviceSources.push(source);
+            }
         });
 
-        // Merge in our transformed services.
+        // Merge in our transformed services, keeping track of whatever is to be applied over the app's services.
         _.merge(sails.services, transformedServices);
+        const overrides = sails.barmecide.serviceOverrides;
+        Object.keys(overrides).forEach(ident => {
+            overrides[ident].service = sails.services[ident];
+        });
 
         return transformedServices;
     },
 
     /**
-     * @todo Implement?
+     * Applies the hook services which collided with the app's own services, per the decision made by the
+     * conflict strategy. Sails loads the app's services only once all hooks have been configured, simply
+     * replacing any hook services by the same name, so this must be called once the services hook has loaded.
+     *
+     * A hook service replaces the app's only where the hook was decided to win (i.e. `hook-wins`). Otherwise
+     * (i.e. `deep-merge`), the app's service keeps its own values, with the hook service only filling in
+     * whatever the app's lacks. Any globals are exposed again.
+     *
+     * @param {Object} sails - The Sails instance whose services should be updated.
+     */
+    applyServiceOverrides(sails) {
+        const overrides = sails.barmecide.serviceOverrides;
+        Object.keys(overrides).filter(ident => overrides[ident].service !== undefined).forEach(ident => {
+            const override = overrides[ident];
+            const service = (override.decision === 'replace') ? override.service : _.merge({}, override.service, sails.services[ident]);
+            sails.services[ident] = service;
+
+            if (sails.config.globals && sails.config.globals.services) {
+                global[service.globalId || ident] = service;
+            }
+        });
+    },
+
+    /**
+     * Loads all policies from the given path, registering them with the Sails policies hook. Any default
+     * policy mappings given (i.e. from a hook's `config/policies.js`) are applied as well. Policies and
+     * mappings defined by the app itself always take precedence over those loaded here.
+     *
+     * @param {Object} sails - The Sails instance policies should be registered with.
+     * @param {string} path - The directory from which policies should be loaded.
+     * @param {string} [source='app'] - The contributor of the policies ('app' or a hook name).
+     * @param {Object} [options] - Additional loading options.
+     * @param {string} [options.namespace] - A namespace to prefix policy names with. If given, each policy
+     * will be registered as `namespace/policyname`, with any default mappings renamed to match.
+     * @param {Object} [options.mappings] - Default policy mappings, which the app is free to override.
+     * @param {string} [options.actionNamespace] - The namespace the contributor's actions are registered under
+     * (see `loadControllers`), if any. The targets of any default mappings are prefixed with it to match (i.e.
+     * `health/check` becomes `billing/health/check`).
+     *
+     * @returns {Object} The registered policies, keyed by their final policy name.
+     */
+    loadPolicies(sails, path, source = 'app', options = {}) {
+        // Import the raw policy definitions.
+        const policies = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
+            dirname: path,
+            filter: /^(.+)\.(?:(?!md|txt).)+$/,
+            flatten: true,
+            keepDirectoryPath: true,
+        }) : {};
+
+        // Normalises a policy file identity into a policy name, as understood by Sails.
+        const toIdentity = name => name.toLowerCase().replace(/\\/g, '/');
+
+        // Find the names of the app's own policies, as these should never be replaced.
+        const appPolicyNames = Object.keys(includeAll({
+            dirname: sails.config.paths.policies,
+            filter: /^(.+)\.(?:(?!md|txt).)+$/,
+            flatten: true,
+            keepDirectoryPath: true,
+            optional: true,
+            dontLoad: true,
+        })).map(toIdentity);
+
+        // Ensure we've a proper policy module definitions object to register with.
+        sails.config.policies = (sails.config.policies instanceof Object) ? sails.config.policies : {};
+        sails.config.policies.moduleDefinitions = (sails.config.policies.moduleDefinitions instanceof Object)
+            ? sails.config.policies.moduleDefinitions
+            : {};
+
+        // Generates the final name of the given (local) policy name, namespaced if desired.
+        const toPolicyName = name => (options.namespace ? `${options.namespace.toLowerCase()}/${toIdentity(name)}` : toIdentity(name));
+
+        // Register each of our policies, so long as the app doesn't already have one by the same name.
+        const registeredPolicies = {};
+        Object.keys(policies).forEach(name => {
+            const policyName = toPolicyName(name);
+            if (appPolicyNames.includes(policyName)) {
+                sails.log.verbose('[Barmecide]', `Skipping policy "${policyName}" from "${source}", as the app already defines it.`);
+                return;
+            }
+            registeredPolicies[policyName] = policies[name];
+        });
+        Object.assign(sails.config.policies.moduleDefinitions, registeredPolicies);
+
+        // Renames any references to our own policies within a mapping value, where we've a namespace.
+        const localNames = Object.keys(policies).map(toIdentity);
+        const renamePolicies = value => {
+            if ((typeof value === 'string') && localNames.includes(value.toLowerCase())) {
+                return toPolicyName(value);
+            }
+            if (Array.isArray(value)) {
+                return value.map(renamePolicies);
+            }
+            if (_.isPlainObject(value)) {
+                return _.mapValues(value, renamePolicies);
+            }
+            return value;
+        };
+
+        // Generates the final target of the given mapping, namespaced to match our actions if need be. Controller-style
+        // targets (i.e. `HealthController: { check: 'isAdmin' }`) keep their casing, as Sails strips the suffix itself.
+        const toTarget = (target, value) => {
+            if (!options.actionNamespace) {
+                return target;
+            }
+            return this.toNamespacedIdentity(_.isPlainObject(value) ? target : target.toLowerCase(), options.actionNamespace);
+        };
+
+        // Apply any default mappings for targets which haven't yet been mapped.
+        const mappings = (options.mappings instanceof Object) ? options.mappings : {};
+        Object.keys(mappings).filter(target => target !== 'moduleDefinitions').forEach(target => {
+            const finalTarget = toTarget(target, mappings[target]);
+            if (finalTarget in sails.config.policies) {
+                return;
+            }
+            sails.config.policies[finalTarget] = renamePolicies(mappings[target]);
+        });
+
+        return registeredPolicies;
+    },
+
+    /**
+     * Loads all machine-style helper definitions from the given path, registering them with the Sails
+     * helpers hook. Nested folders are mapped to helper namespaces exactly as Sails does for the app, so
+     * `api/helpers/foo/do-thing.js` becomes `sails.helpers.foo.doThing`.
+     *
+     * Any helper colliding with one of the app's own helpers (or one already registered by another hook)
+     * is skipped with a warning, as the app's helpers always take precedence.
+     *
+     * @param {Object} sails - The Sails instance helpers should be registered with.
+     * @param {string} path - The directory from which helpers should be loaded.
+     * @param {string} [source='app'] - The contributor of the helpers ('app' or a hook name).
+     * @param {Object} [options] - Additional loading options.
+     * @param {string} [options.namespace] - A namespace to nest all helpers under. If given, the helper
+     * `foo/do-thing.js` will instead become `sails.helpers.<namespace>.foo.doThing`.
+     *
+     * @returns {Object} The registered helper definitions, keyed by their final identity.
      */
-    loadPolicies(_sails, _path) {
-        // I'm not sure this should be implemented, given Floatperms is much more hook-friendly
-        // and generally safer to use over policies...
+    loadHelpers(sails, path, source = 'app', options = {}) {
+        // Import the raw helper definitions.
+        const helpers = fs.existsSync(path) && fs.statSync(path).isDirectory ? includeAll({
+            dirname: path,
+            filter: /^([^.]+)\.(?:(?!md|txt).)+$/,
+            flatten: true,
+            keepDirectoryPath: true,
+        }) : {};
+
+        // Generates the `sails.helpers` key path for the given helper identity (i.e. `foo/do-thing` => `foo.doThing`).
+        const toKeyPath = identity => identity.split('/').map(_.camelCase).join('.');
+
+        // Find the key paths of the app's own helpers, as these should never be replaced.
+        const appKeyPaths = Object.keys(includeAll({
+            dirname: sails.config.paths.helpers,
+            filter: /^([^.]+)\.(?:(?!md|txt).)+$/,
+            flatten: true,
+            keepDirectoryPath: true,
+            optional: true,
+            dontLoad: true,
+        })).map(identity => toKeyPath(identity.replace(/\\/g, '/')));
+
+        // Ensure we've a proper helper module definitions object to register with.
+        sails.config.helpers = (sails.config.helpers instanceof Object) ? sails.config.helpers : {};
+        sails.config.helpers.moduleDefinitions = (sails.config.helpers.moduleDefinitions instanceof Object)
+            ? sails.config.helpers.moduleDefinitions
+            : {};
+        const registeredKeyPaths = Object.keys(sails.config.helpers.moduleDefinitions).map(toKeyPath);
+
+        // Register each helper, so long as nothing else has claimed its spot.
+        const registeredHelpers = {};
+        Object.keys(helpers).forEach(name => {
+            const localIdentity = name.replace(/\\/g, '/');
+            const identity = options.namespace ? `${options.namespace}/${localIdentity}` : localIdentity;
+            const keyPath = toKeyPath(identity);
+            if (appKeyPaths.includes(keyPath)) {
+                sails.barmecide.warn(source, `Skipping helper "sails.helpers.${keyPath}" from "${path}", as the app already defines it.`);
+                return;
+            }
+            if (registeredKeyPaths.includes(keyPath)) {
+                sails.barmecide.warn(source, `Skipping helper "sails.helpers.${keyPath}" from "${path}", as another hook already defines it.`);
+                return;
+            }
+            registeredKeyPaths.push(keyPath);
+            registeredHelpers[identity] = helpers[name];
+        });
+        Object.assign(sails.config.helpers.moduleDefinitions, registeredHelpers);
+
+        return registeredHelpers;
     },
 
 };
+
+/**
+ * Freezes the given value along with every plain object and array within it, so none of it may be
+ * altered. Functions (i.e. lifecycle callbacks) are left as they are.
+ *
+ * @param {*} value - The value to freeze.
+ *
+ * @returns {*} The given value, now frozen.
+ */
+function deepFreeze(value) {
+    if (_.isPlainObject(value) || Array.isArray(value)) {
+        Object.keys(value).forEach(key => deepFreeze(value[key]));
+        Object.freeze(value);
+    }
+    return value;
+}
@@ -1,9 +1,14 @@
 
 const path = require('path');
+const _ = require('lodash');
 const loader = require('./loader');
 const helpers = require('./helper');
+const vanity = require('./vanity');
+const inspector = require('./inspector');
+const report = require('./report');
+const watcher = require('./watcher');
+const schema = require('./schema');
 const BarcemideHook = require('./hook');
-const includeAll = require('include-all');
 
 const __hooks = require('sails/lib/hooks');
 
@@ -27,6 +32,21 @@ module.exports = {
         const hookFunc = sails => {
             initBarmecide(sails);
 
+            // If initialization failed, Sails must be told so where it's able to catch the error (unlike here).
+            if (sails.barmecide.error) {
+                return {
+                    configure() {
+                        throw sails.barmecide.error;
+                    },
+                };
+            }
+
+            // If a different copy of this hook was selected during version resolution, load it in our stead.
+            const retarget = sails.barmecide.findRetarget(hookFunc);
+            if (retarget) {
+                return require(retarget.mainFilePath)(sails);
+            }
+
             /**
              * Attempt to construct the appropriate barmecide hook class.
              * @type {BarcemideHook}
@@ -38,10 +58,62 @@ module.exports = {
         };
         // Tag our hook wrapper function, so we can distinguish barmecide dependencies.
         hookFunc.isBarmecideHook = true;
+        // Keep a reference to the hook class, so the hook may be found from its class alone (i.e. when lifting).
+        hookFunc.Hook = Hook;
 
         return hookFunc;
     },
 
+    /**
+     * Lifts the given hook standalone, as a minimal Sails app using the hook project directory as the
+     * app root. The hook's models, services, controllers and config are loaded by Sails as the app's
+     * own, while the hook itself (along with any Barmecide hooks it depends on) is loaded as usual.
+     *
+     * The hook project is found through its module, which must export the result of
+     * `createSailsHook(Hook)`, unless the `appPath` option is given. Any other options are passed on to
+     * Sails as config overrides (i.e. `port` or `log`).
+     *
+     * @param {Class|Function} Hook - The hook class, or the Sails hook created from it.
+     * @param {Object} [options] - Sails config overrides, along with an optional `appPath`.
+     * @param {Function} [done] - Called once Sails has lifted (or failed to), with any error and the
+     * Sails instance.
+     *
+     * @returns {Object} The Sails instance being lifted.
+     *
+     * @throws {Error} If the hook project can't be found, or isn't a Barmecide hook.
+     */
+    lift(Hook, options = {}, done = undefined) {
+        const Sails = require('sails').constructor;
+
+        // Find the hook project, through whichever loaded module exports the given hook.
+        const hookModule = Object.values(require.cache).find(mod => mod.exports && ((mod.exports === Hook) || (mod.exports.Hook === Hook)));
+        const packageFilePath = hookModule ? helpers.findModulePackage(hookModule) : undefined;
+        const appPath = path.resolve(options.appPath || (packageFilePath ? path.dirname(packageFilePath) : '.'));
+        const hook = helpers.findStandaloneHook(path.resolve(appPath, 'package.json'));
+        if (!hook) {
+            throw new Error(`Unable to find a Barmecide hook project to lift at "${appPath}". Please ensure the hook module exports \`createSailsHook(Hook)\`, or give the \`appPath\` option.`);
+        }
+
+        // Lift Sails with our hook project as the app, loading the hook itself as a plain custom hook.
+        const config = _.omit(options, 'appPath');
+        const app = new Sails();
+        app.lift(_.merge({
+            appPath,
+            hooks: {
+                [hook.name]: require(hook.mainFilePath),
+            },
+        }, config), err => {
+            if (done instanceof Function) {
+                return done(err, app);
+            }
+            if (err) {
+                app.log.error('[Barmecide]', `Failed to lift hook "${hook.name}" standalone:`, err);
+            }
+        });
+
+        return app;
+    },
+
 };
 
 function initBarmecide(sails) {
@@ -55,23 +127,98 @@ function initBarmecide(sails) {
     // Otherwise, we've some setup to do!
     const barmecide = {
         hooksListing: [],
+        sailsHooks: [],
         activeHooks: [],
+        loadGraph: {},
+        externalLoadAfter: {},
         modelDirectories: [],
-        modelModules: [],
+        serviceOverrides: {},
+        modelExtensions: [],
+        modelSnapshots: {},
+        provenance: {
+            models: {},
+            services: {},
+            actions: {},
+            config: {},
+        },
         rootPath: path.resolve(sails.config.paths.tmp, '..'),
         hookPath: sails.config.paths.hooks,
         findHook(identity) {
             return this.hooksListing.find(hook => hook.name === identity);
         },
+        findRetarget(hookFunc) {
+            return this.hooksListing.find(hook => hook.retargets.some(copy => require(copy.mainFilePath) === hookFunc));
+        },
+        findLoadAfterEvents(identity) {
+            // Barmecide hooks are waited on until settled (only those which Sails will actually load), while
+            // normal Sails hooks are waited on until loaded (only those which are being loaded at all).
+            const events = (this.loadGraph[identity] || []).map(name => {
+                const entry = this.findHook(name);
+                if (entry) {
+                    return entry.instance ? `barmecide:hooks:${name}:settled` : undefined;
+                }
+                const isLoading = this.sailsHooks.some(hook => hook.name === name) && (sails.hooks[name] instanceof Object);
+                return isLoading ? `hook:${name}:loaded` : undefined;
+            }).filter(event => event !== undefined);
+            // Any other Sails hooks listed under `loadAfter` (i.e. `orm`) are waited on until Sails has loaded them.
+            (this.externalLoadAfter[identity] || []).forEach(name => {
+                if (sails.hooks[name] instanceof Object) {
+                    return events.push(`hook:${name}:loaded`);
+                }
+                this.warn(identity, `Hook "${identity}" lists "${name}" under loadAfter, but no such hook is being loaded, so it won't wait on it.`);
+            });
+            return events;
+        },
+        loadsAfter(identity, other, seen = []) {
+            // Whether the given hook waits on the other hook to load, either directly or through its own dependencies.
+            const names = (this.loadGraph[identity] || []).filter(name => !seen.includes(name));
+            return names.includes(other) || names.some(name => this.loadsAfter(name, other, [...seen, ...names]));
+        },
+        findProviders(capability) {
+            // Providers are given in load order, so the first is the one loaded earliest.
+            return this.hooksListing
+                .map(entry => entry.instance)
+                .filter(instance => instance && this.activeHooks.includes(instance) && Object.prototype.hasOwnProperty.call(instance.provided, capability));
+        },
+        listCapabilities() {
+            return _.uniq(_.flatMap(this.activeHooks, instance => Object.keys(instance.provided))).sort();
+        },
         finishedLoading() {
-            return this.hooksListing.every(hook => hook.hasLoaded === true);
-        }
+            return this.pendingHooks().length === 0;
+        },
+        pendingHooks() {
+            return this.hooksListing.filter(hook => (hook.hasLoaded !== true) && (hook.hasFailed !== true));
+        },
+        getModelDefinition(identity) {
+            return this.modelSnapshots[String(identity).toLowerCase()];
+        },
+        whoProvides(type, identity) {
+            return inspector.whoProvides(sails, type, identity);
+        },
+        warn(identity, message) {
+            sails.log.warn('[Barmecide]', message);
+            const hook = this.findHook(identity);
+            if (hook) {
+                hook.warnings.push(message);
+            }
+        },
+        report: undefined,
+        error: undefined,
     };
 
+    // Validate the app's own settings up front, as these are otherwise only read (and found wanting) mid-lift.
+    const appConfig = (sails.config.barmecide === undefined) ? {} : sails.config.barmecide;
+    const configProblems = schema.validate(appConfig, schema.APP_SCHEMA, 'sails.config.barmecide');
+    if (configProblems.length > 0) {
+        barmecide.error = new Error(`Invalid Barmecide config:\n    - ${configProblems.join('\n    - ')}`);
+        sails.barmecide = barmecide;
+        return;
+    }
+
     const rootPackagePath = path.resolve(barmecide.rootPath, 'package.json');
     const rootPackage = require(rootPackagePath);
     // Find all main hooks living in the plain dependencies (node modules).
-    const mainDepHooks = helpers.findHookDependencies(rootPackage, helpers.makeModuleSearchPaths(rootPackagePath)).map(hook => {
+    const mainDepHooks = helpers.findHookDependencies(rootPackage, path.dirname(rootPackagePath)).map(hook => {
         hook.isMainHook = true;
         hook.isDependencyHook = false;
         return hook;
@@ -82,23 +229,75 @@ function initBarmecide(sails) {
         hook.isDependencyHook = false;
         return hook;
     });
-    // Merge together the main and API-path hooks, ensuring only unique values exist.
-    const mainHooks = [...mainDepHooks, ...mainApiHooks].reduce((acc, v) => {
-        // If we've no such hook already, push it.
-        if (!acc.find(h => h.name === v.name || h.packageName === v.packageName)) {
-            acc.push(v);
-        }
-        return acc;
-    }, []);
+    // Where the app is itself a hook project, it's being run standalone, so the hook is a main hook too.
+    const standaloneHook = (rootPackage.sails instanceof Object) && (rootPackage.sails.isHook === true)
+        ? helpers.findStandaloneHook(rootPackagePath)
+        : undefined;
+    if (standaloneHook) {
+        standaloneHook.isMainHook = true;
+        standaloneHook.isDependencyHook = false;
+    }
+    const mainHooks = [...mainDepHooks, ...mainApiHooks, ...(standaloneHook ? [standaloneHook] : [])];
     // Find our dependency hooks, that is, those required and installed by the main hooks and their dependencies.
-    const dependencyHooks = helpers.findHookChildDependencies(mainHooks).map(hook => {
+    // Normal Sails hooks are only included where their injection has been enabled (and they're allowed).
+    const injectSetting = (sails.config.barmecide instanceof Object) ? sails.config.barmecide.injectSailsHooks : undefined;
+    const childHooks = helpers.findHookChildDependencies(mainHooks, [], { includeSailsHooks: !!injectSetting }).filter(hook => {
+        if (hook.isBarmecideHook || shouldInjectSailsHook(injectSetting, hook)) {
+            return true;
+        }
+        sails.log.verbose('[Barmecide]', `Not injecting Sails hook "${hook.name}" (${hook.packageName}), as it's been excluded by \`sails.config.barmecide.injectSailsHooks\`.`);
+        return false;
+    }).map(hook => {
         hook.isMainHook = false;
         hook.isDependencyHook = true;
         return hook;
     });
 
-    // Setup our full hook listing.
-    barmecide.hooksListing = [...mainHooks, ...dependencyHooks];
+    // Settle any duplicates, selecting the highest version satisfying every declared range for each hook.
+    const resolution = helpers.resolveDuplicateHooks([...mainHooks, ...childHooks]);
+    // If any hook had no satisfactory version, there's no safe way to continue: fail with the full report. Sails
+    // doesn't catch errors thrown while creating hooks, so the error is kept for our hooks to raise from `configure()`.
+    if (resolution.conflicts.length > 0) {
+        const report = vanity.renderVersionConflicts(resolution.conflicts);
+        sails.log.error('[Barmecide]', 'Found conflicting hook versions:\n' + report);
+        barmecide.error = new Error(`Unable to find hook versions satisfying all declared ranges:\n${report}`);
+        sails.barmecide = barmecide;
+        return;
+    }
+    resolution.hooks.forEach(hook => {
+        hook.warnings = [];
+        // A hook which Sails loads by itself stays a main hook, even where a dependency's copy is used in its stead.
+        hook.isMainHook = [hook, ...hook.retargets].some(copy => copy.isMainHook);
+        hook.isDependencyHook = !hook.isMainHook;
+        hook.retargets.forEach(copy => {
+            sails.log.verbose('[Barmecide]', `Retargeting hook "${hook.name}" from ${copy.version} (${copy.packageFilePath}) to ${hook.version} (${hook.packageFilePath}).`);
+        });
+    });
+
+    // Work out our load order, so hooks may rely on anything they load after being ready by initialization.
+    const loadOrder = helpers.sortHooksByLoadGraph(resolution.hooks, helpers.buildLoadGraph(resolution.hooks));
+
+    // Setup our full hook listing, in load order, along with the (now acyclic) load-order graph. Any normal Sails
+    // hooks we're to inject are kept apart, as they're only loaded by us (and not handled like Barmecide hooks).
+    barmecide.hooksListing = loadOrder.hooks.filter(hook => hook.isBarmecideHook);
+    barmecide.sailsHooks = loadOrder.hooks.filter(hook => !hook.isBarmecideHook);
+    barmecide.loadGraph = loadOrder.graph;
+    // Hooks listed under `loadAfter` which Barmecide doesn't know of may still be Sails hooks, to be waited on
+    // once initializing (when Sails knows of every hook). Nothing else can be made to wait on ours, however.
+    barmecide.externalLoadAfter = helpers.findUnknownLoadOrderNames(resolution.hooks, 'loadAfter');
+    const unknownLoadBefore = helpers.findUnknownLoadOrderNames(resolution.hooks, 'loadBefore');
+    Object.keys(unknownLoadBefore).forEach(name => unknownLoadBefore[name].forEach(other => {
+        barmecide.warn(name, `Hook "${name}" lists "${other}" under loadBefore, but no such Barmecide hook is installed, so the order can't be enforced.`);
+    }));
+
+    // Cycles can't be honoured, so let everyone know exactly where they've been broken.
+    loadOrder.cycles.forEach(cycle => {
+        const from = cycle[cycle.length - 2];
+        barmecide.warn(from, `Found a circular hook load order: ${cycle.join(' → ')}. The "${from}" hook won't wait on "${cycle[cycle.length - 1]}" to load.`);
+    });
+
+    // Grab the dependency hooks, which we'll have to inject ourselves (in load order).
+    const dependencyHooks = loadOrder.hooks.filter(hook => hook.isDependencyHook);
 
     // Reset the custom model definition space.
     sails.config.orm = (sails.config.orm instanceof Object) ? sails.config.orm : {};
@@ -116,60 +315,210 @@ function initBarmecide(sails) {
 
     // Start initializing the dependency hooks which Sails won't load by itself.
     dependencyHooks.forEach(hook => {
+        // Sails may well be loading a normal hook by itself (i.e. the ORM hook), in which case we needn't bother.
+        if (!hook.isBarmecideHook && sails.hooks[hook.name]) {
+            sails.log.verbose('[Barmecide]', `Not injecting Sails hook "${hook.name}", as Sails is already loading it.`);
+            return;
+        }
+
         const Shrek = __hooks(sails);
         const createHook = require(hook.mainFilePath);
         const hookInstance = createHook(sails);
 
+        // Normal Sails hooks know nothing of our load order, so have their initialization wait on it.
+        if (!hook.isBarmecideHook) {
+            const initialize = hookInstance.initialize;
+            hookInstance.initialize = function (done) {
+                sails.after(barmecide.findLoadAfterEvents(hook.name), () => {
+                    return (initialize instanceof Function) ? initialize.call(this, done) : done();
+                });
+            };
+            sails.log.verbose('[Barmecide]', `Injecting Sails hook "${hook.name}" (${hook.packageName}@${hook.version}).`);
+        }
+
         sails.hooks[hook.name] = new Shrek(hookInstance);
         sails.hooks[hook.name].identity = hook.name;
-        sails.hooks[hook.name].configKey = hook.name;
+        sails.hooks[hook.name].configKey = toConfigKey(sails, hook, createHook);
     });
 
-    // Add an event handler for the ORM hook loading, so we can handle certain setup operations.
-    sails.on('hook:orm:loaded', () => {
-        // For each loaded model MODULE, we have to go through and patch them with the merged module,
-        // JUST IN CASE some weird code uses module.exports to access attribute definitions.
-        //
-        // Why so? Because unfortunately Sails modifies the module definitions, instead of generating
-        // a new object and leaving it alone. This causes attributes isIn, etc, to be removed, while
-        // processed values are placed under a `validations` object.
-        //
-        // Without this patching here, certain module.exports would have the validations replaced, while
-        // others might not, causing issues if the code just so happens to rely on this behaviour.
-        //
-        // Annoyingly, we have to rely on using model directories and a full new includeAll, in addition
-        // to simply storing a list of loaded model modules, as the module cache is invalidated.
-        //
-        barmecide.modelDirectories.forEach(path => {
-            const models = includeAll({
-                dirname: path,
-                filter: /^(.+)\.(?:(?!md|txt).)+$/,
-                replaceExpr: /^.*\//,
-                flatten: true,
-                optional: true,
-            });
+    // Keep track of every listener we add, so these may all be removed once Sails is lowered. Several Sails
+    // instances may well live in the same process (i.e. when testing), so nothing may be left behind.
+    const listeners = [];
+    const listen = (event, handler) => {
+        sails.on(event, handler);
+        listeners.push({ event, handler });
+    };
 
-            Object.keys(models).forEach(modelName => {
-                // Try and find the merged and loaded module definition.
-                const mergedModule = sails.config.orm.moduleDefinitions.models[modelName.toLowerCase()];
-                // If we haven't found it, that's pretty freaky but we'll allow it, just skip.
-                if (!mergedModule) {
-                    return;
-                }
-                // Pretty much replace the original module with the merged one.
-                Object.assign(models[modelName], mergedModule);
-            });
-        });
-        // We'll replace also the original modules just to be extra safe...
-        barmecide.modelModules.forEach(model => {
-            // Try and find the merged and loaded module definition.
-            const mergedModule = sails.config.orm.moduleDefinitions.models[model.identity];
-            // If we haven't found it, that's pretty freaky but we'll allow it, just skip.
-            if (!mergedModule) {
-                return;
+    // Periodically log the hooks we're still waiting on, so a stuck hook may be found easily.
+    const pendingLogger = watchPendingHooks(sails);
+
+    // Once the last of our hooks has settled (loaded or failed), wrap things up.
+    barmecide.hooksListing.forEach(hook => {
+        listen(`barmecide:hooks:${hook.name}:settled`, () => {
+            if ((barmecide.report === undefined) && barmecide.finishedLoading()) {
+                clearInterval(pendingLogger);
+                finishLoading(sails);
             }
-            // Replace the original module with the merged one.
-            Object.assign(model.module, mergedModule);
         });
     });
+
+    // Bind the inspector route (if enabled) whenever the router is flushed.
+    listen('router:before', () => inspector.bindRoute(sails));
+
+    // Apply our services over the app's where the conflict strategy says so, once Sails has loaded the app's.
+    listen('hook:services:loaded', () => loader.applyServiceOverrides(sails));
+
+    // Tear our hooks down whenever Sails is lowered, before Sails itself shuts down (dropping every listener).
+    const lower = sails.lower;
+    sails.lower = (...args) => teardownHooks(sails, () => lower(...args));
+
+    // Once lowered, clean up after ourselves. The listing and report are kept around, so these may still be
+    // inspected afterwards, but no hook is considered active any longer.
+    sails.once('lower', () => {
+        clearInterval(pendingLogger);
+        listeners.forEach(listener => sails.removeListener(listener.event, listener.handler));
+        barmecide.activeHooks = [];
+    });
+}
+
+/**
+ * Determines whether the given normal (non-Barmecide) Sails hook should be injected, per the
+ * `sails.config.barmecide.injectSailsHooks` setting. This may be `true` to inject every such hook, or an
+ * object of the form `{ allow, deny }`, where each lists hook names (or package names). Where `allow` is
+ * given, only the listed hooks are injected, while hooks listed under `deny` are never injected.
+ *
+ * @param {boolean|Object} setting - The `injectSailsHooks` setting.
+ * @param {Object} hook - The descriptor of the Sails hook.
+ *
+ * @returns {boolean} Whether or not the hook should be injected.
+ */
+function shouldInjectSailsHook(setting, hook) {
+    if (setting === true) {
+        return true;
+    }
+    if (!(setting instanceof Object)) {
+        return false;
+    }
+    const isListed = list => helpers.toHookNameList(list).some(name => (name === hook.name) || (name === hook.packageName.toLowerCase()));
+    if ((setting.allow !== undefined) && !isListed(setting.allow)) {
+        return false;
+    }
+    return !isListed(setting.deny);
+}
+
+/**
+ * Determines the config key of a hook we're injecting, just as Sails would for a hook it loads itself:
+ * any `configKey` given for the hook's package under `sails.config.installedHooks` takes precedence,
+ * followed by any `configKey` set on the hook function itself, and lastly the hook's name.
+ *
+ * @param {Object} sails - The Sails instance.
+ * @param {Object} hook - The descriptor of the hook.
+ * @param {Function} createHook - The hook function, as exported by the hook's main file.
+ *
+ * @returns {string} The hook's config key.
+ */
+function toConfigKey(sails, hook, createHook) {
+    const installed = (sails.config.installedHooks instanceof Object) ? sails.config.installedHooks[hook.packageName] : undefined;
+    if ((installed instanceof Object) && installed.configKey) {
+        return installed.configKey;
+    }
+    return createHook.configKey || hook.name;
+}
+
+/**
+ * Starts periodically logging the hooks which haven't yet finished loading (along with the phase each
+ * is stuck in), every `sails.config.barmecide.pendingLogInterval` milliseconds (10 seconds by default).
+ * Setting the interval to `false` disables this logging.
+ *
+ * @param {Object} sails - The Sails instance whose hooks should be watched.
+ *
+ * @returns {Object|undefined} The interval timer, or `undefined` if logging is disabled.
+ */
+function watchPendingHooks(sails) {
+    const setting = (sails.config.barmecide instanceof Object) ? sails.config.barmecide.pendingLogInterval : undefined;
+    const interval = (setting === undefined) ? 10000 : setting;
+    if (typeof interval !== 'number') {
+        return undefined;
+    }
+
+    const timer = setInterval(() => {
+        const pending = sails.barmecide.pendingHooks().map(hook => {
+            const phase = hook.instance ? (hook.instance.phase || 'between phases') : 'not started';
+            return `${hook.name} (${phase})`;
+        });
+        if (pending.length > 0) {
+            sails.log.info('[Barmecide]', `Still waiting on hooks to finish loading: ${pending.join(', ')}`);
+        }
+    }, interval);
+    // Don't let our logging keep the process alive.
+    timer.unref();
+
+    return timer;
+}
+
+/**
+ * Tears down every active Barmecide hook (see `BarmecideHook#stop`), one at a time and in reverse load
+ * order, so each hook is torn down before any hook it depends upon (or requires capabilities from). Hooks
+ * which have already been torn down are skipped, should Sails be lowered more than once. Once done, the
+ * load report is rebuilt, so that it reflects the hooks having stopped.
+ *
+ * @param {Object} sails - The Sails instance being lowered.
+ * @param {Function} done - The callback to call once every hook has been torn down.
+ */
+function teardownHooks(sails, done) {
+    const barmecide = sails.barmecide;
+    const remaining = barmecide.hooksListing
+        .map(entry => entry.instance)
+        .filter(instance => instance && barmecide.activeHooks.includes(instance) && (instance.timings.phases.teardown === undefined))
+        .reverse();
+
+    // Providers of capabilities needn't depend on the hooks requiring them, so make sure they're torn down last.
+    const hooks = [];
+    while (remaining.length > 0) {
+        const idx = remaining.findIndex(hook => !remaining.some(other => Object.values(other.providers).includes(hook)));
+        hooks.push(...remaining.splice(Math.max(idx, 0), 1));
+    }
+
+    if (hooks.length > 0) {
+        sails.log.verbose('[Barmecide]', `Tearing down hooks: ${hooks.map(hook => hook.identity).join(', ')}`);
+    }
+
+    const next = idx => {
+        if (idx < hooks.length) {
+            return hooks[idx].stop(() => next(idx + 1));
+        }
+        if (barmecide.report !== undefined) {
+            barmecide.report = report.build(sails);
+        }
+        return done();
+    };
+    return next(0);
+}
+
+/**
+ * Wraps up loading once all hooks have finished, building the load report and logging it in the
+ * configured format (`sails.config.barmecide.report`, one of 'table', 'compact' or 'json', a custom
+ * render function, or `false` to skip logging), before emitting the `barmecide:ready` event.
+ *
+ * @param {Object} sails - The Sails instance which has finished loading all hooks.
+ */
+function finishLoading(sails) {
+    const barmecide = sails.barmecide;
+    const format = (sails.config.barmecide instanceof Object) ? sails.config.barmecide.report : undefined;
+
+    // Build our report, making it available to all.
+    barmecide.report = report.build(sails);
+
+    // Output some summary info, if desired.
+    sails.log.info('[Barmecide]', 'All hooks finished loading!');
+    if (format !== false) {
+        sails.log.info('[Barmecide]', 'Loaded hooks summary:\n' + vanity.renderLoadReport(barmecide.report, format));
+    }
+
+    // Start watching our hooks for changes, if desired (stopping once Sails is lowered).
+    const stopWatching = watcher.start(sails);
+    sails.once('lower', stopWatching);
+
+    // Emit an event which can be listened for, signalling that every hook has been completely loaded.
+    sails.emit('barmecide:ready', barmecide.report);
 }
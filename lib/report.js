@@ -0,0 +1,54 @@
+const path = require('path');
+
+/**
+ * Builds the structured load report, describing the outcome of loading each Barmecide hook.
+ */
+module.exports = {
+
+    /**
+     * Builds a plain, JSON-friendly load report from the current Barmecide state. Hooks are listed
+     * in load order, with any hook which Sails never loaded (i.e. one disabled through config) being
+     * given a status of `'Not loaded'`.
+     *
+     * @param {Object} sails - The Sails instance to build the report for.
+     *
+     * @returns {Object} The load report, of the form `{ hooks, warnings }`, where `warnings` collects
+     * the warnings of all hooks.
+     */
+    build(sails) {
+        const hooks = sails.barmecide.hooksListing.map(entry => {
+            const instance = entry.instance;
+            const timings = instance ? instance.timings : { phases: {} };
+
+            return {
+                name: entry.name,
+                packageName: entry.packageName,
+                version: entry.version,
+                path: path.dirname(entry.packageFilePath),
+                isMainHook: entry.isMainHook,
+                isDependencyHook: entry.isDependencyHook,
+                status: instance ? instance.status : 'Not loaded',
+                error: (instance && instance.error) ? { message: instance.error.message, stack: instance.error.stack } : undefined,
+                timings: {
+                    total: (timings.finishedAt !== undefined) ? timings.finishedAt - timings.startedAt : undefined,
+                    // Only the phases the hook has been through so far are listed (i.e. no teardown until lowered).
+                    phases: Object.keys(timings.phases).filter(phase => timings.phases[phase] !== undefined).reduce((acc, phase) => {
+                        acc[phase] = timings.phases[phase];
+                        return acc;
+                    }, {}),
+                },
+                items: instance ? Object.keys(instance.items).reduce((acc, key) => {
+                    acc[key] = Object.keys(instance.items[key]).length;
+                    return acc;
+                }, {}) : {},
+                warnings: entry.warnings.slice(),
+            };
+        });
+
+        return {
+            hooks,
+            warnings: hooks.reduce((acc, hook) => acc.concat(hook.warnings.map(message => ({ hook: hook.name, message }))), []),
+        };
+    },
+
+};
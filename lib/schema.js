@@ -0,0 +1,234 @@
+const _ = require('lodash');
+const conflicts = require('./conflicts');
+
+/**
+ * Provides a small config schema validator, used to catch mistakes in hook configuration blocks
+ * (i.e. typos) which would otherwise be silently ignored.
+ *
+ * A schema is a plain object describing the expected value, with any of the fields:
+ * - `type`: the expected type, or a list of acceptable types. One of 'string', 'number', 'boolean',
+ *   'object', 'array', 'function' or 'any'.
+ * - `enum`: a list of the only acceptable values.
+ * - `properties`: for objects, a schema for each known key.
+ * - `additionalProperties`: for objects, whether or not keys missing from `properties` are allowed
+ *   (`true` by default), or a schema which all such keys must match.
+ * - `required`: for objects, a list of keys which must be set.
+ * - `items`: for arrays, a schema which every item must match.
+ * - `anyOf`: a list of schemas, any one of which the value may match (in place of the fields above).
+ */
+module.exports = {
+
+    /**
+     * The schema of the `barmecide` block, as found within any hook's config.
+     */
+    BARMECIDE_SCHEMA: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            controllers: { type: 'boolean' },
+            models: { type: 'boolean' },
+            services: { type: 'boolean' },
+            policies: { type: 'boolean' },
+            helpers: { type: 'boolean' },
+            config: { type: 'boolean' },
+            bootstrap: { type: 'boolean' },
+            optional: { type: 'boolean' },
+            timeout: {
+                anyOf: [
+                    { type: 'number' },
+                    { type: 'boolean', enum: [false] },
+                ],
+            },
+            namespace: { type: 'string' },
+            namespacePolicies: { type: 'boolean' },
+            namespaceHelpers: { type: 'boolean' },
+        },
+    },
+
+    /**
+     * The schema of the app's own `sails.config.barmecide` block.
+     */
+    APP_SCHEMA: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            conflicts: {
+                anyOf: [
+                    { type: 'string', enum: conflicts.STRATEGIES },
+                    {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            models: { type: 'string', enum: conflicts.STRATEGIES },
+                            services: { type: 'string', enum: conflicts.STRATEGIES },
+                            actions: { type: 'string', enum: conflicts.STRATEGIES },
+                        },
+                    },
+                ],
+            },
+            report: {
+                anyOf: [
+                    { type: 'string', enum: ['table', 'compact', 'json'] },
+                    { type: 'function' },
+                    { type: 'boolean', enum: [false] },
+                ],
+            },
+            timeout: {
+                anyOf: [
+                    { type: 'number' },
+                    { type: 'boolean', enum: [false] },
+                ],
+            },
+            pendingLogInterval: {
+                anyOf: [
+                    { type: 'number' },
+                    { type: 'boolean', enum: [false] },
+                ],
+            },
+            slowHookThreshold: {
+                anyOf: [
+                    { type: 'number' },
+                    { type: 'boolean', enum: [false] },
+                    {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            bootstrap: { anyOf: [{ type: 'number' }, { type: 'boolean', enum: [false] }] },
+                            initialize: { anyOf: [{ type: 'number' }, { type: 'boolean', enum: [false] }] },
+                        },
+                    },
+                ],
+            },
+            watch: { type: 'boolean' },
+            inspector: { type: ['boolean', 'string'] },
+            injectSailsHooks: {
+                anyOf: [
+                    { type: 'boolean' },
+                    {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            allow: { type: ['string', 'array'], items: { type: 'string' } },
+                            deny: { type: ['string', 'array'], items: { type: 'string' } },
+                        },
+                    },
+                ],
+            },
+        },
+    },
+
+    /**
+     * Determines the schema type of the given value.
+     *
+     * @param {*} value - The value to check.
+     *
+     * @returns {string} The type of the value, as understood by schemas.
+     */
+    typeOf(value) {
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (value instanceof Function) {
+            return 'function';
+        }
+        if (value === null) {
+            return 'null';
+        }
+        return typeof value;
+    },
+
+    /**
+     * Validates the given value against the given schema, collecting any problems found.
+     *
+     * @param {*} value - The value to validate.
+     * @param {Object} schema - The schema to validate against.
+     * @param {string} keyPath - The dot-delimited key path of the value, used to point at offending keys.
+     *
+     * @returns {string[]} A list of problems found, each naming the offending key. Empty if valid.
+     */
+    validate(value, schema, keyPath) {
+        if (!(schema instanceof Object)) {
+            return [];
+        }
+
+        const type = this.typeOf(value);
+
+        // Where several forms are accepted, the value need only match one of them.
+        if (Array.isArray(schema.anyOf)) {
+            const results = schema.anyOf.map(form => this.validate(value, form, keyPath));
+            if (results.some(problems => problems.length === 0)) {
+                return [];
+            }
+            // Report against the first form of the same type, as that's most likely the one intended.
+            const formTypes = schema.anyOf.map(form => _.castArray(form.type || 'any'));
+            const idx = formTypes.findIndex(types => types.includes(type) || types.includes('any'));
+            return (idx !== -1) ? results[idx] : [`"${keyPath}" should be of type ${_.uniq(_.flatten(formTypes)).join(' or ')}, but is of type ${type}.`];
+        }
+
+        // Check the value is of an acceptable type before anything else, as nothing else matters otherwise.
+        const types = _.castArray(schema.type || 'any');
+        if (!types.includes('any') && !types.includes(type)) {
+            return [`"${keyPath}" should be of type ${types.join(' or ')}, but is of type ${type}.`];
+        }
+        if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+            return [`"${keyPath}" should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, but is ${JSON.stringify(value)}.`];
+        }
+
+        const problems = [];
+
+        if (type === 'object') {
+            const properties = (schema.properties instanceof Object) ? schema.properties : {};
+            (schema.required || []).filter(key => value[key] === undefined).forEach(key => {
+                problems.push(`"${keyPath}.${key}" is required, but is not set.`);
+            });
+            Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+                const subPath = `${keyPath}.${key}`;
+                if (key in properties) {
+                    problems.push(...this.validate(value[key], properties[key], subPath));
+                } else if (schema.additionalProperties === false) {
+                    const known = Object.keys(properties);
+                    const suggestion = this.findSimilar(key, known);
+                    problems.push(`"${subPath}" is not a recognised setting.${suggestion ? ` Did you mean "${suggestion}"?` : ''}`);
+                } else if (schema.additionalProperties instanceof Object) {
+                    problems.push(...this.validate(value[key], schema.additionalProperties, subPath));
+                }
+            });
+        }
+
+        if ((type === 'array') && (schema.items instanceof Object)) {
+            value.forEach((item, idx) => problems.push(...this.validate(item, schema.items, `${keyPath}[${idx}]`)));
+        }
+
+        return problems;
+    },
+
+    /**
+     * Finds the candidate most similar to the given (likely misspelt) key, if any is close enough to be
+     * worth suggesting.
+     *
+     * @param {string} key - The unrecognised key.
+     * @param {string[]} candidates - The recognised keys.
+     *
+     * @returns {string|undefined} The most similar candidate, or `undefined` if none is similar.
+     */
+    findSimilar(key, candidates) {
+        // A plain Levenshtein distance does the job nicely for such short strings.
+        const distance = (a, b) => {
+            const row = _.range(b.length + 1);
+            for (let i = 1; i <= a.length; i++) {
+                let prev = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + ((a[i - 1] === b[j - 1]) ? 0 : 1));
+                    prev = current;
+                }
+            }
+            return row[b.length];
+        };
+
+        const best = _.minBy(candidates, candidate => distance(key.toLowerCase(), candidate.toLowerCase()));
+        return (best !== undefined) && (distance(key.toLowerCase(), best.toLowerCase()) <= 2) ? best : undefined;
+    },
+
+};
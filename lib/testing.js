@@ -0,0 +1,446 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+
+/**
+ * Provides helpers for testing Barmecide hooks in isolation: building a temporary Sails app with a
+ * given set of hooks, lifting and lowering it, and asserting on what each hook contributed.
+ *
+ * This module is exposed as `barmecide/testing`.
+ */
+module.exports = {
+
+    /**
+     * The Sails config used when lifting a test app, which options given to `lift` are merged over.
+     * Everything unnecessary for testing hooks is disabled, and models are stored in memory. Each app
+     * is given a free port of its own, unless one is configured.
+     */
+    DEFAULT_CONFIG: {
+        log: { level: 'warn' },
+        hooks: {
+            grunt: false,
+            views: false,
+            session: false,
+            sockets: false,
+            pubsub: false,
+        },
+        datastores: {
+            default: { adapter: 'sails-disk', inMemoryOnly: true },
+        },
+        models: {
+            migrate: 'drop',
+            attributes: {
+                id: { type: 'number', autoIncrement: true },
+                createdAt: { type: 'number', autoCreatedAt: true },
+                updatedAt: { type: 'number', autoUpdatedAt: true },
+            },
+        },
+    },
+
+    /**
+     * The `index.js` given to hook fixtures which don't provide their own: a plain Barmecide hook.
+     */
+    HOOK_INDEX: `
+        const Barmecide = require('barmecide');
+        class FixtureHook extends Barmecide.Hook {
+            constructor(sails) {
+                super(sails, module);
+            }
+        }
+        module.exports = Barmecide.createSailsHook(FixtureHook);
+    `,
+
+    /**
+     * Builds a temporary Sails app on disk, depending on the given hooks. Each hook may be given as
+     * either the path of an existing hook project, or an in-memory fixture of the form:
+     *
+     * ```js
+     * {
+     *     name: 'my-hook',
+     *     package: { version: '1.0.0' }, // Merged into the generated package.json.
+     *     files: { 'index.js': '...', 'api/models/Thing.js': '...' },
+     *     hooks: [], // Fixtures installed within the hook's own node_modules/ (list these in `package.dependencies`).
+     * }
+     * ```
+     *
+     * Fixtures are written into the app's `node_modules/`, and may `require('barmecide')` as usual.
+     * Those without an `index.js` are given a plain Barmecide hook (see `HOOK_INDEX`).
+     *
+     * @param {Object} [options] - The app options.
+     * @param {Array<string|Object>} [options.hooks] - The hooks the app should depend on.
+     * @param {Object} [options.files] - Any files of the app itself, keyed by their relative path.
+     *
+     * @returns {Object} The app description, of the form `{ appPath, hooks, cleanup }`, where `hooks`
+     * lists the name of each hook, and `cleanup()` removes the app from disk.
+     */
+    createApp(options = {}) {
+        // Resolve everything up front, so that nothing's left on disk should a package be missing.
+        const packages = ['sails', 'sails-hook-orm', 'sails-disk'].map(name => ({ name, target: this.resolvePackage(name) }));
+        const appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'barmecide-test-'));
+        const modulesPath = path.join(appPath, 'node_modules');
+        fs.mkdirSync(modulesPath);
+
+        // Link in the packages every app needs, resolved from the current project (or Barmecide itself).
+        this.linkPackage(modulesPath, 'barmecide', path.resolve(__dirname, '..'));
+        packages.forEach(({ name, target }) => this.linkPackage(modulesPath, name, target));
+
+        // Add each of our hooks, either linking an existing project in or writing out a fixture.
+        const hookNames = (options.hooks || []).map(hook => this.writeHook(modulesPath, hook));
+
+        // Write out the app itself, depending on all of our hooks.
+        this.writeFiles(appPath, Object.assign({
+            'package.json': JSON.stringify({
+                name: 'barmecide-test-app',
+                version: '1.0.0',
+                dependencies: hookNames.concat('sails', 'sails-hook-orm').reduce((acc, name) => {
+                    acc[name] = '*';
+                    return acc;
+                }, {}),
+            }, null, 2),
+        }, options.files));
+
+        return {
+            appPath,
+            hooks: hookNames,
+            cleanup: () => this.removeDirectory(appPath),
+        };
+    },
+
+    /**
+     * Adds the given hook to a node_modules directory, either linking an existing hook project in, or
+     * writing out a fixture (along with any hooks nested within it).
+     *
+     * @param {string} modulesPath - The node_modules directory.
+     * @param {string|Object} hook - The path of the hook project, or the hook fixture.
+     *
+     * @returns {string} The name of the hook.
+     */
+    writeHook(modulesPath, hook) {
+        if (typeof hook === 'string') {
+            const hookPath = path.resolve(hook);
+            const name = JSON.parse(fs.readFileSync(path.join(hookPath, 'package.json'), 'utf8')).name;
+            this.linkPackage(modulesPath, name, hookPath);
+            return name;
+        }
+
+        const hookPath = path.join(modulesPath, hook.name);
+        this.writeFiles(hookPath, Object.assign({
+            'package.json': JSON.stringify(_.merge({
+                name: hook.name,
+                version: '1.0.0',
+                main: 'index.js',
+                sails: { isHook: true },
+            }, hook.package), null, 2),
+            'index.js': this.HOOK_INDEX,
+        }, hook.files));
+        (hook.hooks || []).forEach(nested => this.writeHook(path.join(hookPath, 'node_modules'), nested));
+        return hook.name;
+    },
+
+    /**
+     * Builds a temporary app with the given hooks (see `createApp`), then lifts it.
+     *
+     * @param {Object} [options] - The app options, as given to `createApp`, along with:
+     * @param {Object} [options.config] - Sails config overrides, merged over `DEFAULT_CONFIG`.
+     * @param {Object} [options.app] - An app already built through `createApp`, to lift in place of a new one.
+     * Such an app is left in place once lowered, for its creator to clean up.
+     *
+     * @returns {Promise<Object>} A promise resolving with the lifted Sails instance. The temporary
+     * app is described by `sails.barmecideTestApp`, and removed once lowered through `lower`.
+     */
+    lift(options = {}) {
+        const Sails = require(this.resolvePackage('sails')).constructor;
+        const config = _.merge({}, _.cloneDeep(this.DEFAULT_CONFIG), options.config);
+
+        return ((config.port === undefined) ? this.findFreePort() : Promise.resolve(config.port)).then(port => {
+            const testApp = options.app ? Object.assign({}, options.app, { cleanup() {} }) : this.createApp(options);
+            const app = new Sails();
+            app.barmecideTestApp = testApp;
+
+            // Keep each app's `sails-disk` datastores apart, as the adapter module is shared by the whole process.
+            Object.keys(config.datastores || {}).filter(name => config.datastores[name].adapter === 'sails-disk').forEach(name => {
+                config.datastores[name].adapter = this.createDiskAdapter(`${path.basename(testApp.appPath)}/`);
+            });
+
+            const nodeEnv = process.env.NODE_ENV;
+            return new Promise((resolve, reject) => app.lift(Object.assign(config, { appPath: testApp.appPath, port }), err => {
+                // Sails sets NODE_ENV when lifting in production, which every app lifted afterwards would pick up.
+                if (nodeEnv === undefined) {
+                    delete process.env.NODE_ENV;
+                } else {
+                    process.env.NODE_ENV = nodeEnv;
+                }
+                if (err) {
+                    // Clean up after ourselves, even when we've failed to lift.
+                    return this.lower(app).then(() => reject(err), () => reject(err));
+                }
+                return resolve(app);
+            }));
+        });
+    },
+
+    /**
+     * Finds a free port to lift on, by briefly listening on whichever port the OS picks.
+     *
+     * @returns {Promise<number>} A promise resolving with the free port.
+     */
+    findFreePort() {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer();
+            server.unref();
+            server.on('error', reject);
+            server.listen(0, () => {
+                const port = server.address().port;
+                server.close(() => resolve(port));
+            });
+        });
+    },
+
+    /**
+     * Creates a `sails-disk` adapter which registers its datastores under the given prefix. The adapter
+     * module keeps every registered datastore to itself, so without prefixing, apps lifted at the same time
+     * would each register their `default` datastore, and all but the first would fail to lift.
+     *
+     * @param {string} prefix - The prefix unique to the app, given to every datastore name.
+     *
+     * @returns {Object} The adapter, to be given as the `adapter` of a datastore.
+     */
+    createDiskAdapter(prefix) {
+        const disk = require(this.resolvePackage('sails-disk'));
+        return Object.keys(disk).reduce((adapter, key) => {
+            const value = disk[key];
+            if (key === 'datastores') {
+                adapter[key] = new Proxy({}, {
+                    get: (_target, name) => value[`${prefix}${String(name)}`],
+                    has: (_target, name) => `${prefix}${String(name)}` in value,
+                });
+            } else if (key === 'registerDatastore') {
+                adapter[key] = (datastoreConfig, ...args) => value.call(disk, Object.assign({}, datastoreConfig, { identity: `${prefix}${datastoreConfig.identity}` }), ...args);
+            } else if (value instanceof Function) {
+                // Every other adapter method is given the datastore name first.
+                adapter[key] = (datastoreName, ...args) => value.call(disk, `${prefix}${datastoreName}`, ...args);
+            } else {
+                adapter[key] = value;
+            }
+            return adapter;
+        }, {});
+    },
+
+    /**
+     * Lowers the given Sails instance, removing its temporary app (if any) once done.
+     *
+     * @param {Object} sails - The Sails instance to lower, as lifted through `lift`.
+     *
+     * @returns {Promise} A promise resolving once Sails has been lowered.
+     */
+    lower(sails) {
+        return new Promise((resolve, reject) => {
+            sails.lower(err => {
+                if (sails.barmecideTestApp) {
+                    sails.barmecideTestApp.cleanup();
+                }
+                return err ? reject(err) : resolve();
+            });
+        });
+    },
+
+    /**
+     * Sends a virtual request to the given Sails instance, without going through the network.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} address - The request address (i.e. `GET /widgets`).
+     * @param {Object} [params] - Any request parameters.
+     *
+     * @returns {Promise<Object>} A promise resolving with the response, of the form `{ status, body }`.
+     * Error responses resolve just the same, rejecting only where no response could be made at all.
+     */
+    request(sails, address, params = {}) {
+        return new Promise((resolve, reject) => sails.request(address, params, (err, res, body) => {
+            if (err) {
+                return (err.status !== undefined) ? resolve({ status: err.status, body: err.body }) : reject(err);
+            }
+            return resolve({ status: res.statusCode, body });
+        }));
+    },
+
+    /**
+     * Creates a Sails log config which records info messages, warnings and errors, rather than printing them.
+     *
+     * @param {string} [level='warn'] - The log level to lift with.
+     *
+     * @returns {Object} An object of the form `{ config, infos, warnings, errors }`, where `config` is to be
+     * given as `config.log` when lifting, and the rest list each message logged.
+     */
+    recordLog(level = 'warn') {
+        const recorded = { infos: [], warnings: [], errors: [] };
+        recorded.config = {
+            level,
+            inspect: false,
+            custom: {
+                log() {},
+                info: (...args) => recorded.infos.push(args.join(' ')),
+                warn: (...args) => recorded.warnings.push(args.join(' ')),
+                error: (...args) => recorded.errors.push(args.join(' ')),
+            },
+        };
+        return recorded;
+    },
+
+    /**
+     * Asserts the given hook was loaded by Barmecide, with the given status ('OK' by default).
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} [status='OK'] - The expected hook status.
+     */
+    assertHookLoaded(sails, hookName, status = 'OK') {
+        const entry = sails.barmecide.findHook(hookName);
+        assert.ok(entry, `Expected hook "${hookName}" to be known to Barmecide, but it isn't.`);
+        assert.ok(entry.instance, `Expected hook "${hookName}" to have been loaded by Sails, but it wasn't.`);
+        assert.strictEqual(entry.instance.status, status, `Expected hook "${hookName}" to have status "${status}", but it has status "${entry.instance.status}".`);
+    },
+
+    /**
+     * Asserts the given hook contributed the given model.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} identity - The model identity.
+     */
+    assertModelContributed(sails, hookName, identity) {
+        this.assertContributed(sails, hookName, 'model', identity);
+    },
+
+    /**
+     * Asserts the given hook contributed the given service.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} identity - The service identity.
+     */
+    assertServiceContributed(sails, hookName, identity) {
+        this.assertContributed(sails, hookName, 'service', identity);
+    },
+
+    /**
+     * Asserts the given hook contributed the given action.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} identity - The action identity (i.e. `user/find`).
+     */
+    assertActionContributed(sails, hookName, identity) {
+        this.assertContributed(sails, hookName, 'action', identity);
+    },
+
+    /**
+     * Asserts the given hook contributed the given config key.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} keyPath - The dot-delimited config key path (i.e. `session.secret`).
+     */
+    assertConfigContributed(sails, hookName, keyPath) {
+        this.assertContributed(sails, hookName, 'config', keyPath);
+    },
+
+    /**
+     * Asserts the given hook is among the contributors of the given item, per `whoProvides`.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} hookName - The name of the hook.
+     * @param {string} type - The type of item, as understood by `whoProvides`.
+     * @param {string} identity - The identity of the item.
+     */
+    assertContributed(sails, hookName, type, identity) {
+        const sources = sails.barmecide.whoProvides(type, identity);
+        assert.ok(
+            sources.includes(hookName),
+            `Expected hook "${hookName}" to have contributed ${type} "${identity}", but it's provided by: ${sources.length > 0 ? sources.join(', ') : 'nobody'}.`,
+        );
+    },
+
+    /**
+     * Asserts the given action is registered with Sails, by whoever.
+     *
+     * @param {Object} sails - The lifted Sails instance.
+     * @param {string} identity - The action identity (i.e. `user/find`).
+     */
+    assertActionRegistered(sails, identity) {
+        assert.ok(identity.toLowerCase() in sails.getActions(), `Expected action "${identity}" to be registered, but it isn't.`);
+    },
+
+    /**
+     * Resolves the directory of the given package, looking first from the current project, then from
+     * Barmecide itself (and the ORM hook, which brings along `sails-disk`).
+     *
+     * @param {string} name - The package name.
+     *
+     * @returns {string} The package directory.
+     *
+     * @throws {Error} If the package isn't installed.
+     */
+    resolvePackage(name) {
+        const searchPaths = [process.cwd(), __dirname];
+        try {
+            searchPaths.push(path.dirname(require.resolve('sails-hook-orm/package.json', { paths: searchPaths })));
+        } catch (err) {
+            // No ORM hook to be found; we'll simply fail on whatever it is we're resolving.
+        }
+        try {
+            return path.dirname(require.resolve(`${name}/package.json`, { paths: searchPaths }));
+        } catch (err) {
+            throw new Error(`Unable to find the "${name}" package, which the Barmecide testing helpers need. Please install it alongside your hook (i.e. \`npm install --save-dev ${name}\`).`);
+        }
+    },
+
+    /**
+     * Links the given package directory into a node_modules directory.
+     *
+     * @param {string} modulesPath - The node_modules directory.
+     * @param {string} name - The package name.
+     * @param {string} target - The package directory to link to.
+     */
+    linkPackage(modulesPath, name, target) {
+        const linkPath = path.join(modulesPath, name);
+        fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+        fs.symlinkSync(target, linkPath, 'junction');
+    },
+
+    /**
+     * Writes out the given files beneath the given directory, creating directories as needed.
+     *
+     * @param {string} dir - The base directory.
+     * @param {Object} files - The file contents, keyed by their relative paths.
+     */
+    writeFiles(dir, files) {
+        Object.keys(files || {}).forEach(file => {
+            const filePath = path.join(dir, file);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, files[file]);
+        });
+    },
+
+    /**
+     * Removes the given directory along with everything in it, without following symbolic links.
+     *
+     * @param {string} dir - The directory to remove.
+     */
+    removeDirectory(dir) {
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+        fs.readdirSync(dir).forEach(entry => {
+            const entryPath = path.join(dir, entry);
+            if (fs.lstatSync(entryPath).isDirectory()) {
+                return this.removeDirectory(entryPath);
+            }
+            fs.unlinkSync(entryPath);
+        });
+        fs.rmdirSync(dir);
+    },
+
+};
@@ -1,5 +1,6 @@
 
 const AsciiTable = require('ascii-table');
+const path = require('path');
 
 /**
  * Provides vanity logging functions, etc.
@@ -38,7 +39,7 @@ module.exports = {
      * simpler/less messy, but it performs no critical operation and serves solely for simple
      * debugging purposes.
      *
-     * @param {Object[]} hooksInfo - List of hook description objects, as found by the loader.
+     * @param {Object[]} hooksInfo - List of hook description objects, as found in the load report.
      * @param {boolean} [useTrunc=false] - Whether or not truncation should be used for names
      * where there is not enough space to list full values. Not currently used.
      *
@@ -47,8 +48,8 @@ module.exports = {
     renderLoadInformation(hooksInfo, _useTrunc = false) {
         // Setup our constant short and long row names, which are selected against based on the output
         // column count.
-        const SHORT_ROW_NAMES = ['NAME', 'STAT', 'MDL', 'SVC', 'CTL', 'CFG'];
-        const LONG_ROW_NAMES = ['Name', 'Status', 'Models', 'Services', 'Controllers', 'Config'];
+        const SHORT_ROW_NAMES = ['NAME', 'STAT', 'MDL', 'SVC', 'CTL', 'HLP', 'CFG'];
+        const LONG_ROW_NAMES = ['Name', 'Status', 'Models', 'Services', 'Controllers', 'Helpers', 'Config'];
 
         // Extract the number of columns, defaulting to an insanely high value in cases where we've no
         // set limit (as we shouldn't bother limiting line-length in this case).
@@ -64,7 +65,7 @@ module.exports = {
         // Determine the max length of any hook-name cell. We'll use either the length of our
         // longest loaded hook name, or the length of the name heading, whichever is greater.
         const maxNameLen = Math.max(
-            hooksInfo.reduce((acc, hook) => Math.max(acc, hook.globalEntry.name.length), 0),
+            hooksInfo.reduce((acc, hook) => Math.max(acc, hook.name.length), 0),
             rowHeadings[0].length,
         );
 
@@ -83,20 +84,128 @@ module.exports = {
         // Apply our headings, and border styles.
         table.setHeading(...rowHeadings).setBorder('|', '-', '-', '-');
         // Apply right-alignment for each column but the name.
-        [1, 2, 3, 4, 5].forEach(idx => table.setAlign(idx, AsciiTable.RIGHT));
+        [1, 2, 3, 4, 5, 6].forEach(idx => table.setAlign(idx, AsciiTable.RIGHT));
         // Add all our row items.
         hooksInfo.forEach(hook => {
             table.addRow(
-                this.truncateLeft(hook.globalEntry.name, truncLimit),
+                this.truncateLeft(hook.name, truncLimit),
                 hook.status,
-                Object.values(hook.items.models).length,
-                Object.values(hook.items.services).length,
-                Object.values(hook.items.controllers).length,
-                Object.values(hook.items.config).length,
+                hook.items.models || 0,
+                hook.items.services || 0,
+                hook.items.controllers || 0,
+                hook.items.helpers || 0,
+                hook.items.config || 0,
             );
         });
 
         return table.render();
     },
 
+    /**
+     * Renders a table of the time (in milliseconds) each hook spent in each load phase, alongside its
+     * total load time. The waiting phase is the time spent waiting on other hooks to finish loading,
+     * so a slow hook is best spotted by its bootstrap and initialize times, rather than its total.
+     *
+     * @param {Object[]} hooksInfo - List of hook description objects, as found in the load report.
+     *
+     * @returns {String} The rendered hook timings table.
+     */
+    renderLoadTimings(hooksInfo) {
+        const PHASES = ['defaults', 'configure', 'waiting', 'bootstrap', 'initialize', 'registerActions'];
+        // Use short headings where space is tight, matching the summary table.
+        const rowHeadings = ((process.stdout.columns || Number.MAX_SAFE_INTEGER) < 80)
+            ? ['NAME', 'DEF', 'CFG', 'WAIT', 'BOOT', 'INIT', 'ACT', 'TOTAL']
+            : ['Name', 'Defaults', 'Configure', 'Waiting', 'Bootstrap', 'Initialize', 'Actions', 'Total'];
+        const format = ms => ((ms === undefined) ? '-' : ms.toFixed(2));
+
+        const table = new AsciiTable();
+        table.setHeading(...rowHeadings).setBorder('|', '-', '-', '-');
+        [1, 2, 3, 4, 5, 6, 7].forEach(idx => table.setAlign(idx, AsciiTable.RIGHT));
+        hooksInfo.forEach(hook => {
+            table.addRow(
+                hook.name,
+                ...PHASES.map(phase => format(hook.timings.phases[phase])),
+                format(hook.timings.total),
+            );
+        });
+
+        return table.render();
+    },
+
+    /**
+     * Renders a compact summary of loaded hook info, with a single line per hook. This is more
+     * suitable than the table for CI logs and the like, where lines may be prefixed or wrapped.
+     *
+     * @param {Object[]} hooksInfo - List of hook description objects, as found in the load report.
+     *
+     * @returns {String} The rendered hook information lines.
+     */
+    renderCompactLoadInformation(hooksInfo) {
+        return hooksInfo.map(hook => {
+            const counts = Object.keys(hook.items).map(key => `${key}=${hook.items[key]}`).join(' ');
+            const total = (hook.timings.total !== undefined) ? `${hook.timings.total}ms` : '-';
+            const phases = Object.keys(hook.timings.phases)
+                .filter(phase => hook.timings.phases[phase] !== undefined)
+                .map(phase => `${phase}=${hook.timings.phases[phase]}ms`)
+                .join(' ');
+            const kind = hook.isMainHook ? 'main' : 'dependency';
+            return `${hook.name}@${hook.version} ${hook.status} ${kind} ${total} ${phases} ${counts} warnings=${hook.warnings.length}`;
+        }).join('\n');
+    },
+
+    /**
+     * Renders the given load report in the desired format, which may be one of:
+     * - `'table'`: the tabular summary and timings, as rendered by `renderLoadInformation` and
+     *   `renderLoadTimings`.
+     * - `'compact'`: one line per hook, as rendered by `renderCompactLoadInformation`.
+     * - `'json'`: the full report as single-line JSON, for machine consumption.
+     * - A function, which is given the report and should return the rendered string.
+     *
+     * @param {Object} report - The load report to render.
+     * @param {string|Function} [format='table'] - The desired output format.
+     *
+     * @returns {String} The rendered load report.
+     *
+     * @throws {Error} If an unknown format is given.
+     */
+    renderLoadReport(report, format = 'table') {
+        if (format instanceof Function) {
+            return String(format(report));
+        }
+
+        switch (format) {
+            case 'table':
+                return this.renderLoadInformation(report.hooks) + '\n' + this.renderLoadTimings(report.hooks);
+            case 'compact':
+                return this.renderCompactLoadInformation(report.hooks);
+            case 'json':
+                return JSON.stringify(report);
+            default:
+                throw new Error(`Unknown load report format "${format}". Expected one of: table, compact, json (or a function).`);
+        }
+    },
+
+    /**
+     * Renders a human-readable report of hook version conflicts, as found by the helper method
+     * `resolveDuplicateHooks`. Each conflicting hook is listed along with all of its installed
+     * copies, and every version range declared against it (alongside the declaring package).
+     *
+     * @param {Object[]} conflicts - List of conflict description objects.
+     *
+     * @returns {String} The rendered conflicts report.
+     */
+    renderVersionConflicts(conflicts) {
+        return conflicts.map(conflict => {
+            const copies = conflict.copies.map(copy => `    - ${copy.version} (${path.dirname(copy.packageFilePath)})`);
+            const ranges = conflict.declarations.map(d => `    - "${d.range}" declared by ${d.declaredBy || 'an unnamed package'}`);
+            return [
+                `Hook "${conflict.name}":`,
+                '  Installed versions:',
+                ...copies,
+                '  Required ranges:',
+                ...ranges,
+            ].join('\n');
+        }).join('\n');
+    },
+
 };
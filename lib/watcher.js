@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const loader = require('./loader');
+const helpers = require('./helper');
+
+/**
+ * Provides the development-mode watcher, used to hot reload the models, services, controllers and
+ * config of active hooks as their files change.
+ */
+module.exports = {
+
+    /**
+     * The number of milliseconds to wait for further changes before reloading, so that a burst of
+     * changes (i.e. saving several files at once) results in a single reload.
+     */
+    DEBOUNCE: 100,
+
+    /**
+     * Starts watching the `api/` and `config/` directories of every loaded hook, provided the watcher
+     * has been enabled through `sails.config.barmecide.watch`. The watcher is never started in
+     * production.
+     *
+     * @param {Object} sails - The Sails instance whose hooks should be watched.
+     *
+     * @returns {Function} A function which stops all watching, when called.
+     */
+    start(sails) {
+        const enabled = (sails.config.barmecide instanceof Object) && (sails.config.barmecide.watch === true);
+        if (!enabled || (sails.config.environment === 'production')) {
+            return () => {};
+        }
+
+        // Reloads are run one at a time, so that two hooks changing at once don't trip over each other.
+        let queue = Promise.resolve();
+        const watchers = [];
+
+        sails.barmecide.activeHooks.filter(hook => hook.status === 'OK').forEach(hook => {
+            let changes = [];
+            const flush = _.debounce(() => {
+                const files = _.uniq(changes);
+                changes = [];
+                queue = queue.then(() => this.reload(sails, hook, files)).catch(err => {
+                    sails.log.error('[Barmecide]', `Failed to reload changes from hook "${hook.identity}":`, err);
+                });
+            }, this.DEBOUNCE);
+
+            ['api', 'config'].map(dir => path.resolve(hook.path, dir)).filter(dir => fs.existsSync(dir)).forEach(dir => {
+                // Watching is only a development convenience, so a failure to watch mustn't take the app down with it.
+                try {
+                    watchers.push(...this.watchDirectory(dir, file => {
+                        changes.push(path.relative(hook.path, file));
+                        flush();
+                    }));
+                } catch (err) {
+                    sails.log.warn('[Barmecide]', `Unable to watch "${dir}" of hook "${hook.identity}" for changes:`, err.message);
+                }
+            });
+        });
+
+        sails.log.verbose('[Barmecide]', `Watching ${watchers.length} hook directories for changes.`);
+
+        return () => watchers.forEach(watcher => watcher.close());
+    },
+
+    /**
+     * Watches the given directory (along with everything within it) for changes. Recursive watching isn't
+     * supported everywhere (i.e. on Linux prior to Node 20), in which case each directory is watched on
+     * its own instead. Directories added afterwards aren't picked up in that case.
+     *
+     * @param {string} dir - The directory to watch.
+     * @param {Function} onChange - Called with the absolute path of each changed file.
+     *
+     * @returns {Object[]} The watchers created, each of which should be closed once done.
+     */
+    watchDirectory(dir, onChange) {
+        const watch = (target, options) => fs.watch(target, Object.assign({ persistent: false }, options), (_event, filename) => {
+            if (filename) {
+                onChange(path.resolve(target, filename.toString()));
+            }
+        });
+
+        try {
+            return [watch(dir, { recursive: true })];
+        } catch (err) {
+            if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                throw err;
+            }
+        }
+
+        const findDirectories = target => [target, ...fs.readdirSync(target)
+            .map(entry => path.join(target, entry))
+            .filter(entry => fs.statSync(entry).isDirectory())
+            .reduce((acc, entry) => acc.concat(findDirectories(entry)), [])];
+        return findDirectories(dir).map(target => watch(target, {}));
+    },
+
+    /**
+     * Reloads whatever the given changed files of a hook affect, logging what was reloaded.
+     *
+     * @param {Object} sails - The Sails instance the hook belongs to.
+     * @param {Object} hook - The Barmecide hook instance whose files have changed.
+     * @param {string[]} files - The changed files, relative to the hook directory.
+     *
+     * @returns {Promise} A promise resolving once everything has been reloaded.
+     */
+    async reload(sails, hook, files) {
+        const categoryOf = file => {
+            const segments = file.split(path.sep);
+            if (segments[0] === 'config') {
+                return 'config';
+            }
+            // Model extensions are applied along with the models themselves.
+            return (segments[1] === 'model-extensions') ? 'models' : segments[1];
+        };
+        const categories = _.uniq(files.map(categoryOf));
+        const describe = category => files.filter(file => categoryOf(file) === category).join(', ');
+
+        // Config goes first, as the other categories may well depend upon it.
+        if (categories.includes('config') && hook.prefs.merge.config) {
+            this.reloadConfig(sails, hook);
+            sails.log.info('[Barmecide]', `Reloaded config from hook "${hook.identity}" (${describe('config')}).`);
+        }
+        if (categories.includes('services') && hook.prefs.merge.services) {
+            this.reloadServices(sails, hook);
+            sails.log.info('[Barmecide]', `Reloaded services from hook "${hook.identity}" (${describe('services')}).`);
+        }
+        if (categories.includes('models') && hook.prefs.merge.models) {
+            await this.reloadModels(sails);
+            sails.log.info('[Barmecide]', `Reloaded models from hook "${hook.identity}" (${describe('models')}).`);
+        }
+        if (categories.includes('controllers') && hook.prefs.merge.controllers) {
+            this.clearRequireCache(path.resolve(hook.path, 'api', 'controllers'));
+            await new Promise((resolve, reject) => sails.reloadActions(err => (err ? reject(err) : resolve())));
+            sails.log.info('[Barmecide]', `Reloaded actions from hook "${hook.identity}" (${describe('controllers')}).`);
+        }
+
+        // Everything else is taken in by Sails once, so there's no reloading it without restarting.
+        categories.filter(category => !['config', 'services', 'models', 'controllers'].includes(category)).forEach(category => {
+            sails.log.warn('[Barmecide]', `Changes to ${describe(category)} of hook "${hook.identity}" can't be hot reloaded; please restart Sails to apply these.`);
+        });
+    },
+
+    /**
+     * Removes every module within the given directory from the require cache, so that the next
+     * require (i.e. by include-all) loads them afresh.
+     *
+     * @param {string} dir - The directory whose modules should be removed from the cache.
+     */
+    clearRequireCache(dir) {
+        const prefix = path.resolve(dir) + path.sep;
+        Object.keys(require.cache).filter(file => file.startsWith(prefix)).forEach(file => {
+            delete require.cache[file];
+        });
+    },
+
+    /**
+     * Reloads the config of the given hook, updating every key which the hook provides. Keys set by
+     * the app (or another hook) are left untouched, just as they were when first loaded.
+     *
+     * @param {Object} sails - The Sails instance the hook belongs to.
+     * @param {Object} hook - The Barmecide hook instance whose config should be reloaded.
+     */
+    reloadConfig(sails, hook) {
+        const configPath = path.resolve(hook.path, 'config');
+        this.clearRequireCache(configPath);
+
+        const config = loader.loadConfig(configPath, {
+            environment: sails.config.environment,
+            local: hook.isStandalone,
+        });
+        // These are handled specially while loading, and can't be reapplied.
+        delete config.bootstrap;
+        delete config.policies;
+        delete config.routes;
+
+        // Update the keys we provide, then merge in any new keys.
+        const provenance = sails.barmecide.provenance.config;
+        helpers.listConfigPaths(config)
+            .filter(keyPath => _.isEqual(provenance[keyPath.join('.')], [hook.identity]))
+            .forEach(keyPath => _.set(sails.config, keyPath, _.get(config, keyPath)));
+        hook.recordConfigProvenance(config);
+        _.defaultsDeep(sails.config, config);
+        hook.items.config = config;
+    },
+
+    /**
+     * Reloads the services of the given hook, replacing those which the hook alone provides and
+     * re-exposing any globals.
+     *
+     * @param {Object} sails - The Sails instance the hook belongs to.
+     * @param {Object} hook - The Barmecide hook instance whose services should be reloaded.
+     */
+    reloadServices(sails, hook) {
+        const servicesPath = path.resolve(hook.path, 'api', 'services');
+        this.clearRequireCache(servicesPath);
+
+        // Drop the services we alone provide, as these are to be replaced entirely.
+        const provenance = sails.barmecide.provenance.services;
+        Object.keys(provenance).filter(ident => _.isEqual(provenance[ident], [hook.identity])).forEach(ident => {
+            delete sails.services[ident];
+            delete provenance[ident];
+        });
+
+        hook.items.services = loader.loadServices(sails, servicesPath, hook.identity);
+
+        // Re-expose globals (if enabled), as the services hook only does this once.
+        if (sails.config.globals && sails.config.globals.services) {
+            Object.keys(hook.items.services).forEach(ident => {
+                const service = sails.services[ident];
+                global[service.globalId || ident] = service;
+            });
+        }
+    },
+
+    /**
+     * Rebuilds all model definitions, from the app and every hook (in load order), then reloads the
+     * ORM. As Sails alters model modules when loading them, every model module is loaded afresh,
+     * rather than just those of the hook which changed.
+     *
+     * @param {Object} sails - The Sails instance whose models should be reloaded.
+     *
+     * @returns {Promise} A promise resolving once the ORM has been reloaded.
+     */
+    async reloadModels(sails) {
+        const barmecide = sails.barmecide;
+        barmecide.modelDirectories.forEach(dir => this.clearRequireCache(dir));
+
+        // Start over with a clean slate.
+        sails.config.orm.moduleDefinitions.models = {};
+        barmecide.provenance.models = {};
+        barmecide.modelExtensions = [];
+
+        // Load everything in again, in the same order as when first lifting.
+        loader.loadModels(sails, sails.config.paths.models);
+        barmecide.hooksListing
+            .map(entry => entry.instance)
+            .filter(instance => instance && (instance.status === 'OK') && instance.prefs.merge.models)
+            .forEach(instance => {
+                instance.items.models = loader.loadModels(sails, path.resolve(instance.path, 'api', 'models'), instance.identity);
+
+                const extensionsPath = path.resolve(instance.path, 'api', 'model-extensions');
+                this.clearRequireCache(extensionsPath);
+                loader.loadModelExtensions(sails, extensionsPath, instance.identity, instance.modelExtensions());
+            });
+        loader.applyModelExtensions(sails);
+        loader.snapshotModels(sails);
+
+        // Finally, have the ORM pick up our changes, if it's in use.
+        if (sails.hooks.orm && (sails.hooks.orm.reload instanceof Function)) {
+            // The ORM only ever extends its known models when reloading, which would leave removed models (and
+            // the built-in archive model, which then fails validation) lying around, so start it afresh too.
+            // This is emptied in place, as `sails.models` is an alias of the very same object.
+            Object.keys(sails.hooks.orm.models).forEach(ident => delete sails.hooks.orm.models[ident]);
+            await new Promise((resolve, reject) => sails.hooks.orm.reload(err => (err ? reject(err) : resolve())));
+        }
+    },
+
+};
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook actions', () => {
+
+    // A hook providing actions in every form Sails understands.
+    const actionsHook = (barmecide = {}) => ({
+        name: 'shop',
+        files: {
+            'api/controllers/ProductController.js': `module.exports = {
+                _config: { actions: false },
+                list: (req, res) => res.send('products'),
+                notAnAction: 'skipped',
+            };`,
+            'api/controllers/cart/add.js': 'module.exports = (req, res) => res.send(\'added\');',
+            'api/controllers/cart/total.js': `module.exports = {
+                inputs: { currency: { type: 'string', defaultsTo: 'EUR' } },
+                exits: { success: { outputType: 'string' } },
+                fn: async function ({ currency }, exits) {
+                    return exits.success(\`0.00 \${currency}\`);
+                },
+            };`,
+            'api/controllers/admin.panel/StockController.js': 'module.exports = { count: (req, res) => res.send(\'42\') };',
+            'config/shop.js': `module.exports.shop = { barmecide: ${JSON.stringify(barmecide)} };`,
+        },
+    });
+
+    const withApp = async (options, fn) => {
+        const sails = await testing.lift(options);
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('registers traditional, standalone and actions2 actions', () => withApp({
+        hooks: [actionsHook()],
+        config: { routes: { 'GET /products': 'product/list', 'GET /cart/add': 'cart/add', 'GET /cart/total': 'cart/total' } },
+    }, async sails => {
+        expect(sails.getActions()).to.include.keys('product/list', 'cart/add', 'cart/total', 'admin/panel/stock/count');
+        expect(sails.getActions()).not.to.have.property('product/notanaction');
+        expect(sails.config.blueprints._controllers.product).to.deep.equal({ actions: false });
+        expect(await testing.request(sails, 'GET /products')).to.deep.equal({ status: 200, body: 'products' });
+        expect(await testing.request(sails, 'GET /cart/add')).to.deep.equal({ status: 200, body: 'added' });
+        expect(await testing.request(sails, 'GET /cart/total', { currency: 'GBP' })).to.deep.equal({ status: 200, body: '0.00 GBP' });
+        expect(sails.barmecide.whoProvides('action', 'cart/total')).to.deep.equal(['shop']);
+    }));
+
+    it('counts each controller and standalone action in the load report', () => withApp({ hooks: [actionsHook()] }, async sails => {
+        expect(sails.barmecide.report.hooks[0].items.controllers).to.equal(4);
+    }));
+
+    it('namespaces standalone and actions2 actions too', () => withApp({ hooks: [actionsHook({ namespace: 'shop' })] }, async sails => {
+        expect(sails.getActions()).to.include.keys('shop/product/list', 'shop/cart/add', 'shop/cart/total', 'shop/admin/panel/stock/count');
+        expect(sails.config.blueprints._controllers).to.have.property('shop/product');
+    }));
+
+    describe('colliding with actions Barmecide doesn\'t track', () => {
+
+        // An app hook registering an action by itself, ahead of a Barmecide hook providing the same action.
+        const appFiles = {
+            'api/hooks/legacy/index.js': `module.exports = sails => ({
+                initialize(done) {
+                    sails.registerAction((req, res) => res.send('legacy'), 'product/list');
+                    done();
+                },
+            });`,
+        };
+        const lateHook = Object.assign(actionsHook(), { package: { sails: { barmecide: { loadAfter: ['legacy'] } } } });
+
+        const withCollision = (strategy, fn) => {
+            const log = testing.recordLog();
+            return withApp({
+                hooks: [lateHook],
+                files: appFiles,
+                config: {
+                    log: log.config,
+                    routes: { 'GET /products': 'product/list' },
+                    barmecide: { conflicts: { actions: strategy } },
+                },
+            }, sails => fn(sails, log));
+        };
+
+        it('keeps the existing action with a warning by default', () => withCollision(undefined, async (sails, log) => {
+            expect(await testing.request(sails, 'GET /products')).to.deep.equal({ status: 200, body: 'legacy' });
+            expect(sails.barmecide.findHook('shop').warnings).to.deep.equal([
+                'Action "product/list" is provided by both "another Sails hook" and "shop".',
+            ]);
+            expect(log.warnings.join('\n')).to.include('Action "product/list" is provided by both "another Sails hook" and "shop".');
+        }));
+
+        it('replaces the existing action where the hook wins', () => withCollision('hook-wins', async sails => {
+            expect(await testing.request(sails, 'GET /products')).to.deep.equal({ status: 200, body: 'products' });
+            expect(sails.barmecide.whoProvides('action', 'product/list')).to.deep.equal(['shop']);
+        }));
+
+        it('fails the lift where collisions are errors', async () => {
+            let error;
+            try {
+                await withCollision('error', () => undefined);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('Action "product/list" is provided by both "another Sails hook" and "shop". (Conflict strategy for actions is "error".)');
+        });
+
+    });
+
+});
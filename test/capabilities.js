@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook capabilities', () => {
+
+    // A hook with the given class body, along with any package.json fields.
+    const capabilityHook = (name, body, pkg = {}) => ({
+        name,
+        package: pkg,
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class CapabilityHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    ${body}
+                }
+                module.exports = Barmecide.createSailsHook(CapabilityHook);
+            `,
+        },
+    });
+
+    // A mailer, only ready to send once initialized.
+    const mailerHook = (name = 'mailer', extra = '') => capabilityHook(name, `
+        async initialize() {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            this.sent = [];
+            ${extra}
+        }
+        provides() {
+            return {
+                mailer: {
+                    via: '${name}',
+                    send: message => this.sent.push(message),
+                },
+            };
+        }
+        teardown(done) {
+            (global.teardownOrder = global.teardownOrder || []).push('${name}');
+            return done();
+        }
+    `);
+    // A billing hook requiring the mailer, mailing as soon as it initializes.
+    const billingHook = (pkg = {}) => capabilityHook('billing', `
+        requires() {
+            return ['mailer'];
+        }
+        async initialize() {
+            this.sails.billingMailer = this.capabilities.mailer;
+            this.capabilities.mailer.send('Billing is up!');
+        }
+        teardown(done) {
+            (global.teardownOrder = global.teardownOrder || []).push('billing');
+            return done();
+        }
+    `, pkg);
+
+    afterEach(() => {
+        delete global.teardownOrder;
+    });
+
+    const liftError = async (hooks, config = {}) => {
+        const log = testing.recordLog();
+        try {
+            await testing.lower(await testing.lift({ hooks, config: Object.assign({ log: log.config }, config) }));
+        } catch (err) {
+            return err;
+        }
+        return undefined;
+    };
+
+    it('injects capabilities once their provider has loaded', async () => {
+        // Billing is listed first, so would otherwise initialize ahead of the mailer.
+        const sails = await testing.lift({ hooks: [billingHook(), mailerHook()] });
+        try {
+            const mailer = sails.barmecide.findHook('mailer').instance;
+            const billing = sails.barmecide.findHook('billing').instance;
+            expect(billing.capabilities.mailer).to.equal(mailer.provided.mailer);
+            expect(billing.providers).to.deep.equal({ mailer });
+            expect(mailer.sent).to.deep.equal(['Billing is up!']);
+            expect(sails.barmecide.listCapabilities()).to.deep.equal(['mailer']);
+        } finally {
+            await testing.lower(sails);
+        }
+        // The provider outlives the hook requiring it.
+        expect(global.teardownOrder).to.deep.equal(['billing', 'mailer']);
+    });
+
+    it('uses the first provider loaded where several provide a capability, with a warning', async () => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({
+            hooks: [mailerHook('postman'), billingHook({ sails: { barmecide: { loadAfter: ['courier'] } } }), mailerHook('courier')],
+            config: { log: log.config },
+        });
+        try {
+            expect(sails.billingMailer.via).to.equal('postman');
+            expect(sails.barmecide.findHook('billing').warnings).to.deep.equal([
+                'The "mailer" capability required by hook "billing" is provided by several hooks (postman, courier); using "postman".',
+            ]);
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('fails the lift where a required capability isn\'t provided', async () => {
+        const err = await liftError([billingHook(), capabilityHook('sms', 'provides() { return { sms: {}, push: {} }; }')]);
+        expect(err.message).to.equal('Hook "billing" requires the "mailer" capability, which no installed hook provides. Capabilities provided: push, sms.');
+    });
+
+    it('only fails optional hooks missing a capability', async () => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({ hooks: [billingHook()], config: { log: log.config, billing: { barmecide: { optional: true } } } });
+        try {
+            testing.assertHookLoaded(sails, 'billing', 'Failed');
+            expect(sails.barmecide.findHook('billing').instance.error.message).to.include('Capabilities provided: none.');
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('fails hooks whose provider failed to load', async () => {
+        const err = await liftError([
+            billingHook(),
+            mailerHook('mailer', 'throw new Error(\'no transport\');'),
+        ], { mailer: { barmecide: { optional: true } } });
+        expect(err.message).to.equal('Hook "billing" requires the "mailer" capability, but its provider "mailer" failed to load.');
+    });
+
+    it('fails hooks requiring capabilities from hooks loading after them', async () => {
+        const err = await liftError([
+            billingHook(),
+            capabilityHook('postman', 'provides() { return { mailer: {} }; }', { dependencies: { billing: '^1.0.0' } }),
+        ]);
+        expect(err.message).to.equal('Hook "billing" requires the "mailer" capability from hook "postman", which itself loads after "billing".');
+    });
+
+    it('fails the lift on nonsensical declarations', async () => {
+        expect((await liftError([capabilityHook('odd', 'requires() { return \'mailer\'; }')])).message)
+            .to.equal('Expected `requires()` of hook "odd" to return a list of capability names, but instead found: "mailer"');
+        expect((await liftError([capabilityHook('odd', 'provides() { return [\'mailer\']; }')])).message)
+            .to.equal('Expected `provides()` of hook "odd" to return an object of capabilities, but instead found: ["mailer"]');
+    });
+
+});
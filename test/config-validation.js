@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('config validation', () => {
+
+    // A hook declaring a schema for its config block, with the given config.
+    const strictHook = (config, configure = '') => ({
+        name: 'strict',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class StrictHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    static get configSchema() {
+                        return {
+                            additionalProperties: false,
+                            required: ['apiKey'],
+                            properties: {
+                                apiKey: { type: 'string' },
+                                retries: { type: 'number' },
+                            },
+                        };
+                    }
+                    configure() {
+                        ${configure}
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(StrictHook);
+            `,
+            'config/strict.js': `module.exports.strict = ${JSON.stringify(config)};`,
+        },
+    });
+
+    // Lifts the given hooks, resolving with the error the lift failed with (if any).
+    const liftError = async (hooks, config) => {
+        const log = testing.recordLog();
+        try {
+            const sails = await testing.lift({ hooks, config: Object.assign({ log: log.config }, config) });
+            await testing.lower(sails);
+        } catch (err) {
+            return err;
+        }
+        return undefined;
+    };
+
+    it('lifts where all config is valid', async () => {
+        expect(await liftError([strictHook({ apiKey: 'key', retries: 3, barmecide: { timeout: false } })])).to.equal(undefined);
+    });
+
+    it('fails the lift where a hook\'s config breaks its schema', async () => {
+        const err = await liftError([strictHook({ retries: '3', colour: 'red' })]);
+        expect(err.message).to.equal([
+            'Invalid config for hook "strict" (after defaults()):',
+            '    - "sails.config.strict.apiKey" is required, but is not set.',
+            '    - "sails.config.strict.retries" should be of type number, but is of type string.',
+            '    - "sails.config.strict.colour" is not a recognised setting.',
+        ].join('\n'));
+    });
+
+    it('validates the app\'s config for a hook, merged over the hook\'s own', async () => {
+        const err = await liftError([strictHook({ apiKey: 'key' })], { strict: { retries: 'lots' } });
+        expect(err.message).to.include('"sails.config.strict.retries" should be of type number, but is of type string.');
+    });
+
+    it('fails the lift where a hook\'s barmecide block is invalid', async () => {
+        const err = await liftError([strictHook({ apiKey: 'key', barmecide: { contollers: false, timeout: true } })]);
+        expect(err.message).to.equal([
+            'Invalid config for hook "strict" (after defaults()):',
+            '    - "sails.config.strict.barmecide.contollers" is not a recognised setting. Did you mean "controllers"?',
+            '    - "sails.config.strict.barmecide.timeout" should be one of false, but is true.',
+        ].join('\n'));
+    });
+
+    it('validates the config again once configure() has run', async () => {
+        const err = await liftError([strictHook({ apiKey: 'key' }, 'this.sails.config.strict.retries = \'many\';')]);
+        expect(err.message).to.equal([
+            'Invalid config for hook "strict" (after configure()):',
+            '    - "sails.config.strict.retries" should be of type number, but is of type string.',
+        ].join('\n'));
+    });
+
+    it('fails the lift where the app\'s barmecide block is invalid', async () => {
+        const err = await liftError([strictHook({ apiKey: 'key' })], { barmecide: { report: 'xml', timeout: true } });
+        expect(err.message).to.equal([
+            'Invalid Barmecide config:',
+            '    - "sails.config.barmecide.report" should be one of "table", "compact", "json", but is "xml".',
+            '    - "sails.config.barmecide.timeout" should be one of false, but is true.',
+        ].join('\n'));
+    });
+
+});
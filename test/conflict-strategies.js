@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('conflict strategies', () => {
+
+    // A hook providing a widget model, mailer service and widget action, all of which the app has too.
+    const rivalHook = {
+        name: 'rival',
+        files: {
+            'api/models/Widget.js': `module.exports = {
+                tableName: 'rival_widgets',
+                attributes: { name: { type: 'string', defaultsTo: 'rival' }, colour: { type: 'string' } },
+            };`,
+            'api/services/MailerService.js': 'module.exports = { who: () => \'hook\', hookOnly: true };',
+            'api/controllers/WidgetController.js': 'module.exports = { hello: (req, res) => res.ok(\'hook\') };',
+        },
+    };
+    const appFiles = {
+        'api/models/Widget.js': `module.exports = {
+            tableName: 'app_widgets',
+            attributes: { name: { type: 'string', defaultsTo: 'app' } },
+        };`,
+        'api/services/MailerService.js': 'module.exports = { who: () => \'app\', appOnly: true };',
+        'api/controllers/WidgetController.js': 'module.exports = { hello: (req, res) => res.ok(\'app\') };',
+        'config/routes.js': 'module.exports.routes = { \'GET /hello\': \'widget/hello\' };',
+    };
+
+    const withApp = async (conflicts, fn, log = testing.recordLog()) => {
+        const sails = await testing.lift({
+            hooks: [rivalHook],
+            files: appFiles,
+            config: {
+                barmecide: { conflicts },
+                globals: { _: false, async: false, models: false, sails: false, services: true },
+                log: log.config,
+            },
+        });
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    describe('by default', () => {
+        it('deep-merges models, with the hook\'s attributes and settings merged over the app\'s', () => withApp(undefined, async sails => {
+            const widget = sails.models.widget;
+            expect(widget.tableName).to.equal('rival_widgets');
+            expect(widget.attributes).to.have.property('colour');
+            expect(sails.barmecide.provenance.models.widget.attributes.name).to.deep.equal(['app', 'rival']);
+            expect(sails.barmecide.provenance.models.widget.settings.tableName).to.deep.equal(['app', 'rival']);
+        }));
+
+        it('keeps the app\'s own service values, only filling in what the app lacks', () => withApp(undefined, async sails => {
+            const service = sails.services.mailerservice;
+            expect(service.who()).to.equal('app');
+            expect(service.appOnly).to.equal(true);
+            expect(service.hookOnly).to.equal(true);
+            expect(global.MailerService).to.equal(service);
+            expect(sails.barmecide.provenance.services.mailerservice).to.deep.equal(['app', 'rival']);
+        }));
+
+        it('keeps the existing action, with a warning', () => {
+            const log = testing.recordLog();
+            return withApp(undefined, async sails => {
+                expect((await testing.request(sails, 'GET /hello')).body).to.equal('app');
+                expect(log.warnings.join('\n')).to.include('Action "widget/hello" is provided by both "app" and "rival".');
+            }, log);
+        });
+    });
+
+    describe('app-wins', () => {
+        it('keeps the app\'s definitions untouched', () => withApp('app-wins', async sails => {
+            expect(sails.models.widget.tableName).to.equal('app_widgets');
+            expect(sails.models.widget.attributes.name.defaultsTo).to.equal('app');
+            expect(sails.models.widget.attributes).to.have.property('colour');
+            expect(sails.services.mailerservice.who()).to.equal('app');
+            expect(sails.services.mailerservice.hookOnly).to.equal(undefined);
+            expect((await testing.request(sails, 'GET /hello')).body).to.equal('app');
+        }));
+    });
+
+    describe('hook-wins', () => {
+        it('lets the hook\'s definitions replace the app\'s', () => withApp('hook-wins', async sails => {
+            expect(sails.models.widget.tableName).to.equal('rival_widgets');
+            expect(sails.models.widget.attributes.name.defaultsTo).to.equal('rival');
+            expect(sails.services.mailerservice.who()).to.equal('hook');
+            expect(sails.services.mailerservice.appOnly).to.equal(undefined);
+            expect(global.MailerService).to.equal(sails.services.mailerservice);
+            expect(sails.barmecide.provenance.services.mailerservice).to.deep.equal(['rival']);
+        }));
+    });
+
+    describe('error', () => {
+        it('fails to lift, naming both contributors', async () => {
+            let error;
+            try {
+                await withApp('error', () => {}, { config: { level: 'silent' } });
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.an('error');
+            expect(error.message).to.match(/is provided by both "app" and "rival"\. \(Conflict strategy for models is "error"\.\)/);
+        });
+    });
+
+});
@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+const conflicts = require('../lib/conflicts');
+
+describe('conflicts', () => {
+
+    // Just enough of a Sails instance for conflicts to be resolved against.
+    const fakeSails = strategies => {
+        const warnings = [];
+        return {
+            warnings,
+            config: { barmecide: { conflicts: strategies } },
+            barmecide: { warn: (hookName, message) => warnings.push({ hook: hookName, message }) },
+        };
+    };
+
+    describe('getStrategy', () => {
+        it('falls back to the default strategy of each category', () => {
+            const sails = fakeSails(undefined);
+            expect(conflicts.getStrategy(sails, 'models')).to.equal('deep-merge');
+            expect(conflicts.getStrategy(sails, 'services')).to.equal('deep-merge');
+            expect(conflicts.getStrategy(sails, 'actions')).to.equal('warn');
+        });
+
+        it('accepts a single strategy for every category, or one per category', () => {
+            expect(conflicts.getStrategy(fakeSails('error'), 'actions')).to.equal('error');
+            expect(conflicts.getStrategy(fakeSails({ services: 'hook-wins' }), 'services')).to.equal('hook-wins');
+            expect(conflicts.getStrategy(fakeSails({ services: 'hook-wins' }), 'models')).to.equal('deep-merge');
+        });
+
+        it('throws on an unknown strategy', () => {
+            expect(() => conflicts.getStrategy(fakeSails('coin-toss'), 'models')).to.throw(/Invalid conflict strategy "coin-toss"/);
+        });
+    });
+
+    describe('resolve', () => {
+        const resolve = (sails, category, existing, incoming) => conflicts.resolve(sails, category, 'Model "user"', existing, incoming);
+
+        it('merges by default, keeping the existing action where merging isn\'t possible', () => {
+            const sails = fakeSails('deep-merge');
+            expect(resolve(sails, 'models', 'app', 'billing')).to.equal('merge');
+            expect(resolve(sails, 'actions', 'app', 'billing')).to.equal('keep');
+            expect(sails.warnings).to.deep.equal([]);
+        });
+
+        it('throws with the "error" strategy', () => {
+            expect(() => resolve(fakeSails('error'), 'models', 'app', 'billing'))
+                .to.throw('Model "user" is provided by both "app" and "billing". (Conflict strategy for models is "error".)');
+        });
+
+        it('warns against the incoming hook with the "warn" strategy', () => {
+            const sails = fakeSails('warn');
+            expect(resolve(sails, 'services', 'billing', 'mailer')).to.equal('merge');
+            expect(sails.warnings).to.deep.equal([{ hook: 'mailer', message: 'Model "user" is provided by both "billing" and "mailer".' }]);
+        });
+
+        it('lets the app win with the "app-wins" strategy, and the first hook otherwise', () => {
+            const sails = fakeSails('app-wins');
+            expect(resolve(sails, 'models', 'billing', 'app')).to.equal('replace');
+            expect(resolve(sails, 'models', 'app', 'billing')).to.equal('keep');
+            expect(resolve(sails, 'models', 'billing', 'mailer')).to.equal('keep');
+        });
+
+        it('lets the hook win with the "hook-wins" strategy, and the last hook otherwise', () => {
+            const sails = fakeSails('hook-wins');
+            expect(resolve(sails, 'models', 'billing', 'app')).to.equal('keep');
+            expect(resolve(sails, 'models', 'app', 'billing')).to.equal('replace');
+            expect(resolve(sails, 'models', 'billing', 'mailer')).to.equal('replace');
+        });
+    });
+
+});
@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const testing = require('../lib/testing');
+
+describe('hook dependency resolution', () => {
+
+    // A hook providing a service named after it, so we can tell it was loaded.
+    const serviceHook = (name, serviceName, pkg = {}) => ({
+        name,
+        package: pkg,
+        files: { [`api/services/${serviceName}Service.js`]: `module.exports = { name: '${name}' };` },
+    });
+
+    const withApp = async (options, fn) => {
+        const sails = await testing.lift(options);
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('names scoped and prefixed hooks just as Sails does', () => withApp({
+        hooks: [serviceHook('@acme/sails-hook-billing', 'Billing'), serviceHook('@acme/audit', 'Audit')],
+    }, async sails => {
+        expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['billing', 'audit']);
+        expect(sails.barmecide.hooksListing.map(hook => hook.packageName)).to.deep.equal(['@acme/sails-hook-billing', '@acme/audit']);
+        testing.assertHookLoaded(sails, 'billing');
+        testing.assertServiceContributed(sails, 'billing', 'billingservice');
+        testing.assertServiceContributed(sails, 'audit', 'auditservice');
+    }));
+
+    it('finds dependencies hoisted up to the app, of every kind', () => withApp({
+        hooks: [
+            serviceHook('parent', 'Parent', { dependencies: { child: '^1.0.0' }, peerDependencies: { peer: '^1.0.0' }, devDependencies: { missing: '^1.0.0' } }),
+            serviceHook('child', 'Child'),
+            serviceHook('peer', 'Peer'),
+        ],
+    }, async sails => {
+        expect(sails.barmecide.findHook('parent').dependencies).to.have.members(['child', 'peer']);
+        expect(sails.barmecide.loadGraph.parent).to.have.members(['child', 'peer']);
+        ['parent', 'child', 'peer'].forEach(name => testing.assertHookLoaded(sails, name));
+    }));
+
+    it('loads a hook symlinked into several places only once', async () => {
+        const app = testing.createApp({
+            hooks: [
+                serviceHook('linked', 'Linked'),
+                serviceHook('user', 'User', { dependencies: { linked: '^1.0.0' } }),
+            ],
+        });
+        try {
+            // Link the app's copy of the hook in beneath the hook depending on it too.
+            const modulesPath = path.join(app.appPath, 'node_modules');
+            testing.linkPackage(path.join(modulesPath, 'user', 'node_modules'), 'linked', path.join(modulesPath, 'linked'));
+            expect(fs.lstatSync(path.join(modulesPath, 'user', 'node_modules', 'linked')).isSymbolicLink()).to.equal(true);
+
+            await withApp({ app }, async sails => {
+                const linked = sails.barmecide.hooksListing.filter(hook => hook.name === 'linked');
+                expect(linked).to.have.lengthOf(1);
+                expect(linked[0].retargets).to.have.lengthOf(0);
+                testing.assertHookLoaded(sails, 'linked');
+            });
+        } finally {
+            app.cleanup();
+        }
+    });
+
+});
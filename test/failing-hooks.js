@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('failing hooks', () => {
+
+    // A hook providing a route, an action and a service, which fails in the given phase (if any).
+    const flakyHook = failIn => ({
+        name: 'flaky',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class FlakyHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                        sails.on('barmecide:hooks:flaky:failed', err => {
+                            sails.flakyFailure = err;
+                        });
+                        this.bootstrap = done => done(${(failIn === 'bootstrap') ? 'new Error(\'flaky bootstrap\')' : ''});
+                    }
+                    routes() {
+                        return { before: { 'GET /flaky/ping': (req, res) => res.send('pong') } };
+                    }
+                    initialize(done) {
+                        return done(${(failIn === 'initialize') ? 'new Error(\'flaky initialize\')' : ''});
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(FlakyHook);
+            `,
+            'api/controllers/FlakyController.js': 'module.exports = { status: (req, res) => res.send(\'flaky\') };',
+            'api/services/FlakyService.js': 'module.exports = { check: () => true };',
+        },
+    });
+    // A hook which waits on the flaky hook, noting down that it still got to initialize.
+    const patientHook = {
+        name: 'patient',
+        package: { sails: { barmecide: { loadAfter: ['flaky'] } } },
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class PatientHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    initialize(done) {
+                        this.sails.patientInitialized = true;
+                        return done();
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(PatientHook);
+            `,
+        },
+    };
+
+    const liftFlaky = (failIn, optional) => {
+        const log = testing.recordLog();
+        return testing.lift({
+            hooks: [flakyHook(failIn), patientHook],
+            config: { log: log.config, routes: { 'GET /flaky/status': 'flaky/status' }, flaky: { barmecide: { optional } } },
+        }).then(sails => Object.assign(sails, { recordedLog: log }));
+    };
+
+    it('loads the hook as usual when nothing fails', async () => {
+        const sails = await liftFlaky(undefined, true);
+        try {
+            expect(sails.barmecide.report.hooks.map(hook => hook.status)).to.deep.equal(['OK', 'OK']);
+            expect(await testing.request(sails, 'GET /flaky/ping')).to.deep.equal({ status: 200, body: 'pong' });
+            expect(await testing.request(sails, 'GET /flaky/status')).to.deep.equal({ status: 200, body: 'flaky' });
+            expect(sails.services.flakyservice.check()).to.equal(true);
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    ['bootstrap', 'initialize'].forEach(phase => {
+        it(`disables an optional hook which fails to ${phase}`, async () => {
+            const sails = await liftFlaky(phase, true);
+            try {
+                const [flaky, patient] = sails.barmecide.report.hooks;
+                expect(flaky.status).to.equal('Failed');
+                expect(flaky.error.message).to.equal(`flaky ${phase}`);
+                expect(sails.flakyFailure.message).to.equal(`flaky ${phase}`);
+                expect(sails.recordedLog.errors[0]).to.match(/^\[Barmecide\] Optional hook "flaky" failed to load, and has been disabled:/);
+
+                // Hooks waiting on the failed hook still load.
+                expect(patient.status).to.equal('OK');
+                expect(sails.patientInitialized).to.equal(true);
+
+                // Its routes, actions and services are all withdrawn.
+                expect((await testing.request(sails, 'GET /flaky/ping')).status).to.equal(404);
+                expect((await testing.request(sails, 'GET /flaky/status')).status).to.equal(404);
+                expect(sails.services.flakyservice).to.equal(undefined);
+                expect(global.FlakyService).to.equal(undefined);
+                expect(sails.barmecide.whoProvides('service', 'flakyservice')).to.deep.equal([]);
+
+                // Nor are its actions registered once actions are reloaded.
+                await new Promise((resolve, reject) => sails.reloadActions(err => (err ? reject(err) : resolve())));
+                expect(sails.getActions()).not.to.have.property('flaky/status');
+            } finally {
+                await testing.lower(sails);
+            }
+        });
+    });
+
+    it('fails the lift when a hook which isn\'t optional fails', async () => {
+        const log = testing.recordLog();
+        const lifting = testing.lift({ hooks: [flakyHook('initialize')], config: { log: log.config } });
+        let error;
+        await lifting.catch(err => {
+            error = err;
+        });
+        expect(error).to.be.an('error');
+        expect(error.message).to.equal('flaky initialize');
+        expect(log.errors[0]).to.match(/^\[Barmecide\] Hook "flaky" failed to load:/);
+    });
+
+});
@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const helpers = require('../lib/helper');
+
+describe('helpers', () => {
+
+    describe('resolveDuplicateHooks', () => {
+        const copy = (name, version, ranges = []) => ({
+            name,
+            version,
+            declarations: ranges.map(range => ({ range, declaredBy: 'app' })),
+        });
+
+        it('leaves unique hooks be, in order of first appearance', () => {
+            const hooks = [copy('a', '1.0.0'), copy('b', '2.0.0')];
+            const result = helpers.resolveDuplicateHooks(hooks);
+            expect(result.hooks.map(hook => hook.name)).to.deep.equal(['a', 'b']);
+            expect(result.hooks[0].retargets).to.deep.equal([]);
+            expect(result.conflicts).to.deep.equal([]);
+        });
+
+        it('selects the highest version, retargeting the other copies to it', () => {
+            const low = copy('a', '1.0.0');
+            const high = copy('a', '1.2.0');
+            const result = helpers.resolveDuplicateHooks([low, copy('b', '1.0.0'), high]);
+            expect(result.hooks.map(hook => hook.name)).to.deep.equal(['a', 'b']);
+            expect(result.hooks[0]).to.equal(high);
+            expect(high.retargets).to.deep.equal([low]);
+        });
+
+        it('selects the highest version satisfying every declared range', () => {
+            const result = helpers.resolveDuplicateHooks([
+                copy('a', '1.4.0', ['^1.0.0']),
+                copy('a', '2.0.0', []),
+                copy('a', '1.2.0', ['~1.2.0']),
+            ]);
+            expect(result.hooks[0].version).to.equal('1.2.0');
+            expect(result.hooks[0].declarations.map(d => d.range)).to.deep.equal(['^1.0.0', '~1.2.0']);
+            expect(result.hooks[0].retargets.map(hook => hook.version)).to.deep.equal(['2.0.0', '1.4.0']);
+        });
+
+        it('ignores ranges which node-semver doesn\'t understand', () => {
+            const result = helpers.resolveDuplicateHooks([
+                copy('a', '1.0.0', ['github:someone/a']),
+                copy('a', '1.1.0', ['file:../a']),
+            ]);
+            expect(result.hooks[0].version).to.equal('1.1.0');
+            expect(result.conflicts).to.deep.equal([]);
+        });
+
+        it('reports a conflict where no copy satisfies every declared range', () => {
+            const result = helpers.resolveDuplicateHooks([
+                copy('a', '1.0.0', ['^1.0.0']),
+                copy('a', '2.0.0', ['^2.0.0']),
+                copy('b', '1.0.0'),
+            ]);
+            expect(result.hooks.map(hook => hook.name)).to.deep.equal(['b']);
+            expect(result.conflicts).to.have.lengthOf(1);
+            expect(result.conflicts[0].name).to.equal('a');
+            expect(result.conflicts[0].copies.map(hook => hook.version)).to.deep.equal(['2.0.0', '1.0.0']);
+            expect(result.conflicts[0].declarations.map(d => d.range)).to.deep.equal(['^1.0.0', '^2.0.0']);
+        });
+    });
+
+    describe('sortHooksByLoadGraph', () => {
+        const hooks = names => names.map(name => ({ name }));
+        const namesOf = result => result.hooks.map(hook => hook.name);
+
+        it('retains the given order where nothing needs reordering', () => {
+            const result = helpers.sortHooksByLoadGraph(hooks(['a', 'b', 'c']), { a: [], b: [], c: [] });
+            expect(namesOf(result)).to.deep.equal(['a', 'b', 'c']);
+            expect(result.cycles).to.deep.equal([]);
+        });
+
+        it('places each hook after every hook it must load after', () => {
+            const graph = { a: ['c'], b: ['a'], c: [], d: ['b', 'c'] };
+            const result = helpers.sortHooksByLoadGraph(hooks(['d', 'a', 'b', 'c']), graph);
+            expect(namesOf(result)).to.deep.equal(['c', 'a', 'b', 'd']);
+        });
+
+        it('reports and breaks cycles, without altering the given graph', () => {
+            const graph = { a: ['c'], b: ['a'], c: ['b'], d: [] };
+            const result = helpers.sortHooksByLoadGraph(hooks(['a', 'b', 'c', 'd']), graph);
+            expect(result.cycles).to.deep.equal([['a', 'c', 'b', 'a']]);
+            expect(result.graph).to.deep.equal({ a: ['c'], b: [], c: ['b'], d: [] });
+            expect(graph.b).to.deep.equal(['a']);
+            expect(namesOf(result)).to.deep.equal(['b', 'c', 'a', 'd']);
+        });
+
+        it('works from the graph built by buildLoadGraph', () => {
+            const descriptors = [
+                { name: 'a', dependencies: ['b'] },
+                { name: 'b', loadAfter: ['c', 'orm'] },
+                { name: 'c' },
+                { name: 'd', loadBefore: ['c', 'views'] },
+            ];
+            const result = helpers.sortHooksByLoadGraph(descriptors, helpers.buildLoadGraph(descriptors));
+            expect(namesOf(result)).to.deep.equal(['d', 'c', 'b', 'a']);
+        });
+    });
+
+    describe('findUnknownLoadOrderNames', () => {
+        it('lists the names each hook gives which aren\'t amongst the hooks', () => {
+            const descriptors = [
+                { name: 'a', loadAfter: ['b', 'orm'], loadBefore: ['views'] },
+                { name: 'b', loadAfter: ['a'] },
+                { name: 'c' },
+            ];
+            expect(helpers.findUnknownLoadOrderNames(descriptors, 'loadAfter')).to.deep.equal({ a: ['orm'] });
+            expect(helpers.findUnknownLoadOrderNames(descriptors, 'loadBefore')).to.deep.equal({ a: ['views'] });
+        });
+    });
+
+    describe('toHookName', () => {
+        it('strips any scope and the sails-hook- prefix, as Sails does', () => {
+            expect(helpers.toHookName({}, '@co/sails-hook-Billing')).to.equal('billing');
+            expect(helpers.toHookName({}, '@co/audit')).to.equal('audit');
+            expect(helpers.toHookName({}, 'sails-hook-cron')).to.equal('cron');
+            expect(helpers.toHookName({}, 'widgets')).to.equal('widgets');
+        });
+
+        it('prefers the name given by the package', () => {
+            expect(helpers.toHookName({ sails: { hookName: 'Mailer' } }, 'sails-hook-mail')).to.equal('mailer');
+        });
+    });
+
+});
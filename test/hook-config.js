@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook config', () => {
+
+    // A hook with base, environment-specific and local config, which reads its own base config module once loaded.
+    const slateHook = {
+        name: 'slate',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class SlateHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    initialize(done) {
+                        this.sails.slateModule = require('./config/slate').slate;
+                        return done();
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(SlateHook);
+            `,
+            'config/slate.js': 'module.exports.slate = { mode: \'base\', source: \'base\', nested: { flag: \'base\', kept: true } };',
+            'config/env/production/slate.js': 'module.exports.slate = { source: \'env-dir\', nested: { flag: \'env-dir\' } };',
+            'config/env/production.js': 'module.exports.slate = { mode: \'production\' };',
+            'config/env/test.js': 'module.exports.slate = { mode: \'test\' };',
+            'config/local.js': 'module.exports.slate = { mode: \'local\' };',
+        },
+    };
+
+    const liftIn = async (environment, app) => {
+        const sails = await testing.lift({
+            app,
+            hooks: [slateHook],
+            config: { environment, models: { migrate: 'safe' }, log: { level: 'error' } },
+        });
+        try {
+            // Config is only ever merged into fresh objects, leaving the config modules themselves untouched.
+            expect(sails.slateModule).to.deep.equal({ mode: 'base', source: 'base', nested: { flag: 'base', kept: true } });
+            return sails.config.slate;
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('applies the hook\'s environment-specific config over its base config', async () => {
+        expect(await liftIn('production')).to.deep.equal({ mode: 'production', source: 'env-dir', nested: { flag: 'env-dir', kept: true } });
+    });
+
+    it('applies only the base config where the environment has none', async () => {
+        expect(await liftIn('development')).to.deep.equal({ mode: 'base', source: 'base', nested: { flag: 'base', kept: true } });
+    });
+
+    it('keeps each environment\'s config apart when lifting the same hook again', async () => {
+        const app = testing.createApp({ hooks: [slateHook] });
+        try {
+            expect((await liftIn('production', app)).mode).to.equal('production');
+            expect(await liftIn('development', app)).to.deep.equal({ mode: 'base', source: 'base', nested: { flag: 'base', kept: true } });
+            expect((await liftIn('test', app)).mode).to.equal('test');
+        } finally {
+            app.cleanup();
+        }
+    });
+
+    it('lets the app\'s own config take precedence', async () => {
+        const sails = await testing.lift({ hooks: [slateHook], config: { environment: 'test', slate: { mode: 'app' } } });
+        try {
+            expect(sails.config.slate).to.deep.equal({ mode: 'app', source: 'base', nested: { flag: 'base', kept: true } });
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+});
@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('duplicate hook resolution', () => {
+
+    // A copy of the shared hook, whose service tells which copy was loaded.
+    const shared = version => ({
+        name: 'shared',
+        package: { version },
+        files: { 'api/services/SharedService.js': `module.exports = { version: '${version}' };` },
+    });
+    const dependant = (name, range, version) => ({
+        name,
+        package: { dependencies: { shared: range } },
+        hooks: [shared(version)],
+    });
+
+    it('loads the highest copy satisfying every declared range, once', async () => {
+        const sails = await testing.lift({
+            hooks: [dependant('alpha', '^1.0.0', '1.1.0'), dependant('beta', '^1.0.0', '1.3.0'), dependant('gamma', '~1.1.0', '1.1.5')],
+        });
+        try {
+            const entry = sails.barmecide.findHook('shared');
+            expect(entry.version).to.equal('1.1.5');
+            expect(entry.retargets.map(copy => copy.version)).to.have.members(['1.3.0', '1.1.0']);
+            expect(sails.barmecide.hooksListing.filter(hook => hook.name === 'shared')).to.have.lengthOf(1);
+            expect(sails.services.sharedservice.version).to.equal('1.1.5');
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('fails to lift where no copy satisfies every declared range', async () => {
+        let error;
+        try {
+            await testing.lift({
+                hooks: [dependant('alpha', '^1.0.0', '1.1.0'), dependant('beta', '^2.0.0', '2.0.0')],
+                config: { log: { level: 'silent' } },
+            });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.match(/^Unable to find hook versions satisfying all declared ranges/);
+        expect(error.message).to.include('shared');
+    });
+
+});
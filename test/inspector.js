@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('inspector', () => {
+
+    const auditHook = {
+        name: 'audit',
+        files: {
+            'api/models/User.js': 'module.exports = { attributes: { createdBy: { type: \'string\' } } };',
+            'api/services/AuditService.js': 'module.exports = { log() {} };',
+            'api/controllers/AuditController.js': 'module.exports = { trail: (req, res) => res.ok() };',
+            'config/audit.js': 'module.exports.audit = { level: \'verbose\' };',
+        },
+    };
+    const appFiles = {
+        'api/models/User.js': 'module.exports = { attributes: { name: { type: \'string\' } } };',
+        'api/controllers/UserController.js': 'module.exports = { profile: (req, res) => res.ok() };',
+    };
+
+    const withApp = async (config, fn) => {
+        const sails = await testing.lift({ hooks: [auditHook], files: appFiles, config });
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    describe('whoProvides', () => {
+        it('finds the contributors of each type of item', () => withApp({}, async sails => {
+            const barmecide = sails.barmecide;
+            expect(barmecide.whoProvides('model', 'User')).to.deep.equal(['app', 'audit']);
+            expect(barmecide.whoProvides('model', 'archive')).to.deep.equal(['sails']);
+            expect(barmecide.whoProvides('attribute', 'user.name')).to.deep.equal(['app']);
+            expect(barmecide.whoProvides('attribute', 'user.createdBy')).to.deep.equal(['audit']);
+            expect(barmecide.whoProvides('service', 'AuditService')).to.deep.equal(['audit']);
+            expect(barmecide.whoProvides('action', 'audit/trail')).to.deep.equal(['audit']);
+            expect(barmecide.whoProvides('action', 'user/profile')).to.deep.equal(['app']);
+            expect(barmecide.whoProvides('action', 'user/find')).to.deep.equal(['sails']);
+            expect(barmecide.whoProvides('config', 'audit.level')).to.deep.equal(['audit']);
+            expect(barmecide.whoProvides('config', 'port')).to.deep.equal(['app']);
+        }));
+
+        it('finds nobody for items which don\'t exist', () => withApp({}, async sails => {
+            expect(sails.barmecide.whoProvides('model', 'gadget')).to.deep.equal([]);
+            expect(sails.barmecide.whoProvides('service', 'gadgetservice')).to.deep.equal([]);
+            expect(sails.barmecide.whoProvides('config', 'audit.nope')).to.deep.equal([]);
+        }));
+
+        it('throws on unknown item types', () => withApp({}, async sails => {
+            expect(() => sails.barmecide.whoProvides('widget', 'x')).to.throw('Unknown item type "widget"');
+        }));
+    });
+
+    describe('route', () => {
+        it('isn\'t bound unless enabled', () => withApp({}, async sails => {
+            expect((await testing.request(sails, 'GET /__barmecide')).status).to.equal(404);
+        }));
+
+        it('describes every hook and the provenance of all items', () => withApp({ barmecide: { inspector: true } }, async sails => {
+            const res = await testing.request(sails, 'GET /__barmecide');
+            expect(res.status).to.equal(200);
+            expect(res.body.finishedLoading).to.equal(true);
+            expect(res.body.hooks).to.have.lengthOf(1);
+            expect(res.body.hooks[0]).to.include({ name: 'audit', version: '1.0.0', status: 'OK' });
+            expect(res.body.hooks[0].items.models).to.deep.equal(['user']);
+            expect(res.body.provenance.services.auditservice).to.deep.equal(['audit']);
+        }));
+
+        it('may be bound to another path', () => withApp({ barmecide: { inspector: '/debug/hooks' } }, async sails => {
+            expect((await testing.request(sails, 'GET /debug/hooks')).status).to.equal(200);
+            expect((await testing.request(sails, 'GET /__barmecide')).status).to.equal(404);
+        }));
+
+        it('is never bound in production', () => withApp({
+            environment: 'production',
+            models: { migrate: 'safe' },
+            log: { level: 'error' },
+            barmecide: { inspector: true },
+        }, async sails => {
+            expect((await testing.request(sails, 'GET /__barmecide')).status).to.equal(404);
+        }));
+    });
+
+});
@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook lifecycles', () => {
+
+    // A hook with the given class body and bootstrap (from its `config/bootstrap.js`).
+    const lifecycleHook = (body, bootstrap = 'done => done()') => ({
+        name: 'lifecycle',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class LifecycleHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    ${body}
+                }
+                module.exports = Barmecide.createSailsHook(LifecycleHook);
+            `,
+            'config/bootstrap.js': `module.exports.bootstrap = ${bootstrap};`,
+        },
+    });
+
+    const withHook = async (hook, fn) => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({
+            hooks: [hook],
+            config: { log: log.config, lifecycle: { barmecide: { optional: true } } },
+        });
+        try {
+            await fn(sails, sails.barmecide.report.hooks[0], log);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('accepts promises from async lifecycle methods', () => withHook(lifecycleHook(`
+        async initialize() {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            this.sails.initializedAsync = true;
+        }
+        async registerActions() {
+            this.sails.registerAction((req, res) => res.send('async'), 'lifecycle/async');
+        }
+    `, 'async () => { global.lifecycleBootstrapped = true; }'), async (sails, report) => {
+        expect(report.status).to.equal('OK');
+        expect(global.lifecycleBootstrapped).to.equal(true);
+        delete global.lifecycleBootstrapped;
+        expect(sails.initializedAsync).to.equal(true);
+        expect(sails.getActions()).to.have.property('lifecycle/async');
+    }));
+
+    it('fails a hook whose promise rejects', () => withHook(lifecycleHook(`
+        async initialize() {
+            throw new Error('rejected initialize');
+        }
+    `), async (sails, report) => {
+        expect(report.status).to.equal('Failed');
+        expect(report.error.message).to.equal('rejected initialize');
+    }));
+
+    it('fails a hook whose promise rejects without a reason', () => withHook(lifecycleHook('', '() => Promise.reject()'), async (sails, report) => {
+        expect(report.status).to.equal('Failed');
+        expect(report.error.message).to.equal('Hook "lifecycle" rejected during bootstrap, without giving a reason.');
+    }));
+
+    it('fails a hook which throws synchronously', () => withHook(lifecycleHook(`
+        registerActions(done) {
+            throw new Error('thrown registerActions');
+        }
+    `), async (sails, report) => {
+        expect(report.status).to.equal('Failed');
+        expect(report.error.message).to.equal('thrown registerActions');
+    }));
+
+    it('only completes once, where a hook calls back more than once', () => withHook(lifecycleHook(`
+        initialize(done) {
+            this.sails.initializeCount = (this.sails.initializeCount || 0) + 1;
+            done();
+            done(new Error('too late'));
+        }
+    `), async (sails, report, log) => {
+        expect(report.status).to.equal('OK');
+        expect(sails.initializeCount).to.equal(1);
+        // The second call comes after the hook has loaded, so it's only found on the hook itself, not the report.
+        expect(sails.barmecide.findHook('lifecycle').warnings).to.deep.equal(['Hook "lifecycle" completed initialize more than once; ignoring all but the first.']);
+        expect(log.warnings).to.have.lengthOf(1);
+    }));
+
+    it('ignores a promise settling after the hook has called back', () => withHook(lifecycleHook(`
+        async initialize(done) {
+            done();
+            throw new Error('after the fact');
+        }
+    `), async (sails, report, log) => {
+        expect(report.status).to.equal('OK');
+        expect(log.errors).to.have.lengthOf(1);
+        expect(log.errors[0]).to.match(/^\[Barmecide\] Hook "lifecycle" rejected during initialize after having already completed:/);
+    }));
+
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook load order', () => {
+
+    // A hook which notes down when it has initialized, after the given delay.
+    const recordingHook = (name, barmecide, delay = 0) => ({
+        name,
+        package: { sails: { barmecide } },
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class RecordingHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    initialize(done) {
+                        this.sails.ormLoadedFirst = (this.sails.warmEvents['hook:orm:loaded'] === true);
+                        setTimeout(() => {
+                            this.sails.initialized = (this.sails.initialized || []).concat('${name}');
+                            return done();
+                        }, ${delay});
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(RecordingHook);
+            `,
+        },
+    });
+
+    it('initializes each hook after those it must load after', async () => {
+        const sails = await testing.lift({
+            hooks: [
+                recordingHook('alpha', { loadAfter: ['beta'] }),
+                recordingHook('beta', {}, 100),
+                recordingHook('gamma', { loadBefore: ['beta'] }, 50),
+            ],
+        });
+        try {
+            expect(sails.initialized).to.deep.equal(['gamma', 'beta', 'alpha']);
+            expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['gamma', 'beta', 'alpha']);
+            expect(sails.barmecide.loadGraph).to.deep.equal({ alpha: ['beta'], beta: ['gamma'], gamma: [] });
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('initializes a hook after its own hook dependencies', async () => {
+        const sails = await testing.lift({
+            hooks: [{
+                name: 'parent',
+                package: { dependencies: { child: '^1.0.0' } },
+                files: recordingHook('parent', {}).files,
+                hooks: [recordingHook('child', {}, 100)],
+            }],
+        });
+        try {
+            expect(sails.initialized).to.deep.equal(['child', 'parent']);
+            expect(sails.barmecide.loadGraph).to.deep.equal({ parent: ['child'], child: [] });
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('reports and breaks load order cycles', async () => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({
+            hooks: [recordingHook('alpha', { loadAfter: ['beta'] }), recordingHook('beta', { loadAfter: ['alpha'] })],
+            config: { log: log.config },
+        });
+        try {
+            expect(sails.initialized).to.have.members(['alpha', 'beta']);
+            expect(log.warnings.join('\n')).to.include('Found a circular hook load order: alpha → beta → alpha.');
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('waits on other Sails hooks listed under loadAfter', async () => {
+        const sails = await testing.lift({ hooks: [recordingHook('alpha', { loadAfter: ['orm'] })] });
+        try {
+            expect(sails.ormLoadedFirst).to.equal(true);
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+    it('warns about listed hooks which aren\'t being loaded', async () => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({
+            hooks: [recordingHook('alpha', { loadAfter: ['btea'], loadBefore: ['orm'] }), recordingHook('beta', {})],
+            config: { log: log.config },
+        });
+        try {
+            expect(sails.initialized).to.have.members(['alpha', 'beta']);
+            expect(log.warnings).to.include.members([
+                '[Barmecide] Hook "alpha" lists "btea" under loadAfter, but no such hook is being loaded, so it won\'t wait on it.',
+                '[Barmecide] Hook "alpha" lists "orm" under loadBefore, but no such Barmecide hook is installed, so the order can\'t be enforced.',
+            ]);
+        } finally {
+            await testing.lower(sails);
+        }
+    });
+
+});
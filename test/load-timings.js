@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+const helpers = require('../lib/helper');
+
+describe('hook load timings', () => {
+
+    // A hook which takes a little while to bootstrap and initialize.
+    const slowHook = {
+        name: 'sluggish',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class SluggishHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                        this.bootstrap = done => setTimeout(done, 30);
+                    }
+                    initialize(done) {
+                        setTimeout(done, 60);
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(SluggishHook);
+            `,
+        },
+    };
+
+    const liftWithThreshold = async slowHookThreshold => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({ hooks: [slowHook], config: { log: log.config, barmecide: { slowHookThreshold } } });
+        try {
+            return { report: sails.barmecide.report, warnings: log.warnings };
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('records the time spent in each load phase', async () => {
+        const { report, warnings } = await liftWithThreshold(undefined);
+        const phases = report.hooks[0].timings.phases;
+        expect(Object.keys(phases)).to.deep.equal(['defaults', 'configure', 'waiting', 'bootstrap', 'initialize', 'registerActions']);
+        Object.keys(phases).forEach(phase => expect(phases[phase]).to.be.a('number'));
+        expect(phases.bootstrap).to.be.at.least(25);
+        expect(phases.initialize).to.be.at.least(55);
+        expect(warnings).to.deep.equal([]);
+    });
+
+    it('warns about hooks which are slow to bootstrap or initialize', async () => {
+        const { report, warnings } = await liftWithThreshold(20);
+        expect(warnings).to.have.lengthOf(2);
+        expect(warnings[0]).to.match(/^\[Barmecide\] Hook "sluggish" was slow to bootstrap, taking [\d.]+ms \(over the 20ms threshold\)\.$/);
+        expect(warnings[1]).to.match(/^\[Barmecide\] Hook "sluggish" was slow to initialize, taking [\d.]+ms \(over the 20ms threshold\)\.$/);
+        expect(report.hooks[0].warnings).to.have.lengthOf(2);
+    });
+
+    it('allows a threshold per phase', async () => {
+        const { warnings } = await liftWithThreshold({ bootstrap: 1000, initialize: 20 });
+        expect(warnings).to.have.lengthOf(1);
+        expect(warnings[0]).to.include('slow to initialize');
+    });
+
+    it('skips slow-hook warnings when disabled', async () => {
+        const { warnings } = await liftWithThreshold(false);
+        expect(warnings).to.deep.equal([]);
+    });
+
+    it('measures elapsed milliseconds to the hundredth', () => {
+        const elapsed = helpers.elapsedMilliseconds(process.hrtime());
+        expect(elapsed).to.be.a('number').and.at.least(0);
+        expect(Number(elapsed.toFixed(2))).to.equal(elapsed);
+    });
+
+});
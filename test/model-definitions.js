@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const path = require('path');
+const testing = require('../lib/testing');
+
+describe('model definitions', () => {
+
+    // A hook adding a role attribute (validated through `isIn`) to the app's user model.
+    const rolesHook = {
+        name: 'roles',
+        files: {
+            'api/models/User.js': 'module.exports = { attributes: { role: { type: \'string\', isIn: [\'admin\', \'member\'] } } };',
+            'api/model-extensions/User.js': 'module.exports = { attributes: { badge: { type: \'string\', isIn: [\'gold\'] } } };',
+        },
+    };
+    const appFiles = {
+        'api/models/User.js': 'module.exports = { attributes: { name: { type: \'string\', maxLength: 20 } } };',
+    };
+
+    const withApp = async fn => {
+        const sails = await testing.lift({ hooks: [rolesHook], files: appFiles });
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('keeps the merged definitions as they were before the ORM altered them', () => withApp(async sails => {
+        const definition = sails.barmecide.getModelDefinition('User');
+        expect(definition.attributes.role).to.deep.equal({ type: 'string', isIn: ['admin', 'member'] });
+        expect(definition.attributes.badge).to.deep.equal({ type: 'string', isIn: ['gold'] });
+        expect(definition.attributes.name).to.deep.equal({ type: 'string', maxLength: 20 });
+        expect(sails.barmecide.getModelDefinition('nothing')).to.equal(undefined);
+    }));
+
+    it('freezes the snapshots', () => withApp(async sails => {
+        const definition = sails.barmecide.getModelDefinition('user');
+        expect(Object.isFrozen(definition)).to.equal(true);
+        expect(Object.isFrozen(definition.attributes.role.isIn)).to.equal(true);
+        expect(() => definition.attributes.role.isIn.push('guest')).to.throw(TypeError);
+    }));
+
+    it('leaves the model modules themselves alone', () => withApp(async sails => {
+        const appModule = require(path.join(sails.config.appPath, 'api', 'models', 'User.js'));
+        const hookModule = require(path.join(sails.barmecide.findHook('roles').instance.path, 'api', 'models', 'User.js'));
+        expect(appModule.attributes).to.deep.equal({ name: { type: 'string', maxLength: 20 } });
+        expect(hookModule.attributes).to.deep.equal({ role: { type: 'string', isIn: ['admin', 'member'] } });
+        // Whereas the ORM still validates against the merged definition.
+        const err = await sails.models.user.create({ name: 'Ada', role: 'guest' }).then(() => undefined, e => e);
+        expect(err.code).to.equal('E_INVALID_NEW_RECORD');
+    }));
+
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('model extensions', () => {
+
+    // A hook auditing every model, extending the app's user model by file and any flagged model by predicate.
+    const auditHook = {
+        name: 'audit',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class AuditHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    modelExtensions() {
+                        return [{
+                            target: (identity, definition) => definition.audited === true,
+                            attributes: { auditedAt: { type: 'number', defaultsTo: 1 } },
+                        }];
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(AuditHook);
+            `,
+            'api/model-extensions/User.js': `module.exports = {
+                attributes: { createdBy: { type: 'string' } },
+                beforeCreate(values, proceed) {
+                    values.trail = \`\${values.trail || ''}audit;\`;
+                    values.createdBy = values.createdBy || 'system';
+                    return proceed();
+                },
+                tableName: 'audit_users',
+                schema: false,
+            };`,
+            'api/model-extensions/Everything.js': 'module.exports = { target: \'*\', attributes: { note: { type: \'string\', allowNull: true } } };',
+        },
+    };
+    // A hook loading after the audit hook, extending the user model too.
+    const stampHook = {
+        name: 'stamp',
+        package: { sails: { barmecide: { loadAfter: ['audit'] } } },
+        files: {
+            'api/model-extensions/Stamp.js': `module.exports = {
+                target: ['user'],
+                beforeCreate(values, proceed) {
+                    values.trail = \`\${values.trail}stamp;\`;
+                    return proceed();
+                },
+            };`,
+        },
+    };
+    const appFiles = {
+        'api/models/User.js': `module.exports = {
+            attributes: { name: { type: 'string' }, trail: { type: 'string' } },
+            beforeCreate(values, proceed) {
+                values.trail = 'app;';
+                return proceed();
+            },
+            tableName: 'users',
+        };`,
+        'api/models/Invoice.js': 'module.exports = { audited: true, attributes: { total: { type: \'number\' } } };',
+        'api/models/Tag.js': 'module.exports = { attributes: { label: { type: \'string\' } } };',
+    };
+
+    const withApp = async (hooks, fn) => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({ hooks, files: appFiles, config: { log: log.config } });
+        try {
+            await fn(sails, log);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('adds attributes to the models targeted by name, glob or predicate', () => withApp([auditHook], async sails => {
+        expect(sails.models.user.attributes).to.include.keys('name', 'createdBy', 'note');
+        expect(sails.models.invoice.attributes).to.include.keys('total', 'auditedAt', 'note');
+        expect(sails.models.tag.attributes).to.include.keys('label', 'note');
+        expect(sails.models.tag.attributes).not.to.have.property('auditedAt');
+        expect(sails.models.tag.attributes).not.to.have.property('createdBy');
+    }));
+
+    it('only uses other keys where the model doesn\'t define them', () => withApp([auditHook], async sails => {
+        expect(sails.models.user.tableName).to.equal('users');
+        expect(sails.models.user.hasSchema).to.equal(false);
+    }));
+
+    it('composes lifecycle callbacks, in load order after the model\'s own', () => withApp([stampHook, auditHook], async sails => {
+        const user = await sails.models.user.create({ name: 'Ada' }).fetch();
+        expect(user.trail).to.equal('app;audit;stamp;');
+        expect(user.createdBy).to.equal('system');
+    }));
+
+    it('records the hooks extending each model', () => withApp([auditHook, stampHook], async sails => {
+        expect(sails.barmecide.provenance.models.user.extensions).to.deep.equal(['audit', 'stamp']);
+        expect(sails.barmecide.provenance.models.tag.extensions).to.deep.equal(['audit']);
+        expect(sails.barmecide.provenance.models.user.attributes.createdBy).to.deep.equal(['audit']);
+    }));
+
+    it('warns about extensions targeting a model which doesn\'t exist', () => withApp([{
+        name: 'lost',
+        files: { 'api/model-extensions/Ghost.js': 'module.exports = { attributes: { boo: { type: \'string\' } } };' },
+    }], async (sails, log) => {
+        const message = 'Model extension Ghost.js from "lost" targets the model "ghost", which doesn\'t exist.';
+        expect(sails.barmecide.findHook('lost').warnings).to.deep.equal([message]);
+        expect(log.warnings.join('\n')).to.include(message);
+    }));
+
+    it('fails the lift on extensions without a sensible target', async () => {
+        let error;
+        try {
+            await withApp([Object.assign({}, auditHook, {
+                files: Object.assign({}, auditHook.files, { 'api/model-extensions/Broken.js': 'module.exports = { target: 42 };' }),
+            })], () => undefined);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Model extension Broken.js from "audit" should specify a target model identity, glob, list or predicate.');
+    });
+
+});
@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testing = require('../lib/testing');
+
+describe('multiple apps', () => {
+
+    // A single hook project, linked into every app, so each shares the very same hook modules.
+    let hookPath;
+    before(() => {
+        hookPath = fs.mkdtempSync(path.join(os.tmpdir(), 'barmecide-shared-'));
+        testing.writeFiles(hookPath, {
+            'package.json': JSON.stringify({ name: 'shared', version: '1.0.0', main: 'index.js', sails: { isHook: true } }),
+            'index.js': testing.HOOK_INDEX,
+            'api/models/Widget.js': 'module.exports = { attributes: { size: { type: \'string\', isIn: [\'small\', \'large\'] } } };',
+            'api/model-extensions/Widget.js': 'module.exports = { meta: { tags: [\'shared\'] } };',
+            'config/shared.js': 'module.exports.shared = { greeting: \'hello\', colours: [\'red\'] };',
+        });
+        testing.linkPackage(path.join(hookPath, 'node_modules'), 'barmecide', path.resolve(__dirname, '..'));
+    });
+    after(() => testing.removeDirectory(hookPath));
+
+    const liftApp = config => testing.lift({
+        hooks: [hookPath],
+        files: { 'api/models/Widget.js': 'module.exports = { attributes: { name: { type: \'string\' } } };' },
+        config,
+    });
+
+    it('keeps the state of apps lifted side by side apart', async () => {
+        const first = await liftApp({ shared: { greeting: 'hi' } });
+        const second = await liftApp({ shared: { colours: ['blue'] } });
+        try {
+            expect(first.barmecide).not.to.equal(second.barmecide);
+            expect(first.config.shared).to.deep.equal({ greeting: 'hi', colours: ['red'] });
+            expect(second.config.shared).to.deep.equal({ greeting: 'hello', colours: ['blue'] });
+            expect(first.barmecide.findHook('shared').instance).not.to.equal(second.barmecide.findHook('shared').instance);
+
+            // Both apps' ORMs work from the merged definitions, while the snapshots are untouched by either.
+            await first.models.widget.create({ name: 'Sprocket', size: 'small' });
+            await second.models.widget.create({ name: 'Cog', size: 'large' });
+            expect(await first.models.widget.count()).to.equal(1);
+            expect(await second.models.widget.count()).to.equal(1);
+            expect(first.barmecide.getModelDefinition('widget').attributes.size.isIn).to.deep.equal(['small', 'large']);
+            expect(second.barmecide.getModelDefinition('widget').meta).to.deep.equal({ tags: ['shared'] });
+            expect(first.config.orm.moduleDefinitions.models.widget.meta).not.to.equal(second.config.orm.moduleDefinitions.models.widget.meta);
+        } finally {
+            await testing.lower(first);
+            await testing.lower(second);
+        }
+    });
+
+    it('leaves the shared hook modules alone', async () => {
+        await testing.lower(await liftApp());
+        await testing.lower(await liftApp());
+        expect(require(path.join(fs.realpathSync(hookPath), 'api', 'models', 'Widget.js'))).to.deep.equal({
+            attributes: { size: { type: 'string', isIn: ['small', 'large'] } },
+        });
+        expect(require(path.join(fs.realpathSync(hookPath), 'api', 'model-extensions', 'Widget.js'))).to.deep.equal({
+            meta: { tags: ['shared'] },
+        });
+    });
+
+    it('lets go of its hooks once lowered, keeping the listing and report', async () => {
+        const sails = await liftApp();
+        expect(sails.barmecide.activeHooks).to.have.lengthOf(1);
+        await testing.lower(sails);
+        expect(sails.barmecide.activeHooks).to.deep.equal([]);
+        expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['shared']);
+        expect(sails.barmecide.report.hooks[0].status).to.equal('Stopped');
+    });
+
+});
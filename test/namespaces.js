@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook namespaces', () => {
+
+    // A billing hook with its own actions, routes and default policy mappings.
+    const billingHook = (barmecide = {}, files = {}) => ({
+        name: 'billing',
+        files: Object.assign({
+            'api/controllers/HealthController.js': 'module.exports = { check: (req, res) => res.send(\'healthy\') };',
+            'api/controllers/InvoiceController.js': 'module.exports = { list: (req, res) => res.send(\'invoices\') };',
+            'api/policies/isBilled.js': 'module.exports = (req, res) => res.status(402).send(\'payment required\');',
+            'config/routes.js': `module.exports.routes = {
+                'GET /health': 'health/check',
+                'GET /invoices': 'InvoiceController.list',
+                'GET /': { action: 'health/check' },
+            };`,
+            'config/billing.js': `module.exports.billing = { barmecide: ${JSON.stringify(barmecide)} };`,
+        }, files),
+    });
+
+    const withApp = async (options, fn) => {
+        const sails = await testing.lift(options);
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('leaves action identities and routes alone without a namespace', () => withApp({ hooks: [billingHook()] }, async sails => {
+        expect(sails.getActions()).to.include.keys('health/check', 'invoice/list');
+        expect(await testing.request(sails, 'GET /health')).to.deep.equal({ status: 200, body: 'healthy' });
+        expect(await testing.request(sails, 'GET /invoices')).to.deep.equal({ status: 200, body: 'invoices' });
+    }));
+
+    it('prefixes action identities, route addresses and route targets with the namespace', () => withApp({
+        hooks: [billingHook({ namespace: 'Billing' })],
+    }, async sails => {
+        expect(sails.getActions()).to.include.keys('billing/health/check', 'billing/invoice/list');
+        expect(sails.getActions()).not.to.have.any.keys('health/check', 'invoice/list');
+        expect(sails.config.routes).to.include({ 'GET /billing/health': 'billing/health/check', 'GET /billing/invoices': 'billing/invoice/list' });
+        expect(sails.config.routes['GET /billing']).to.deep.equal({ action: 'billing/health/check' });
+        expect(await testing.request(sails, 'GET /billing/health')).to.deep.equal({ status: 200, body: 'healthy' });
+        expect(await testing.request(sails, 'GET /billing')).to.deep.equal({ status: 200, body: 'healthy' });
+        expect((await testing.request(sails, 'GET /health')).status).to.equal(404);
+    }));
+
+    it('lets the app remap or disable imported routes', () => withApp({
+        hooks: [billingHook({ namespace: 'billing' })],
+        files: {
+            'api/controllers/StatusController.js': 'module.exports = { check: (req, res) => res.send(\'app status\') };',
+            'config/routes.js': 'module.exports.routes = { \'GET /billing/health\': \'status/check\', \'GET /billing/invoices\': false };',
+        },
+    }, async sails => {
+        expect(sails.config.routes['GET /billing/health']).to.equal('status/check');
+        expect(await testing.request(sails, 'GET /billing/health')).to.deep.equal({ status: 200, body: 'app status' });
+        expect((await testing.request(sails, 'GET /billing/invoices')).status).to.equal(404);
+    }));
+
+    it('prefixes the targets of default policy mappings with the namespace', () => withApp({
+        hooks: [billingHook({ namespace: 'billing' }, {
+            'config/policies.js': 'module.exports.policies = { \'invoice/*\': \'isBilled\', HealthController: { check: \'isBilled\' } };',
+        })],
+        files: {
+            'api/controllers/InvoiceController.js': 'module.exports = { list: (req, res) => res.send(\'app invoices\') };',
+            'config/routes.js': 'module.exports.routes = { \'GET /invoices\': \'invoice/list\' };',
+        },
+    }, async sails => {
+        expect(sails.config.policies).to.have.property('billing/invoice/*');
+        expect(sails.config.policies).not.to.have.property('invoice/*');
+        expect(await testing.request(sails, 'GET /billing/invoices')).to.deep.equal({ status: 402, body: 'payment required' });
+        expect(await testing.request(sails, 'GET /billing/health')).to.deep.equal({ status: 402, body: 'payment required' });
+        // The app's own actions of the same name are left unguarded.
+        expect(await testing.request(sails, 'GET /invoices')).to.deep.equal({ status: 200, body: 'app invoices' });
+    }));
+
+    it('lets the app override namespaced default policy mappings', () => withApp({
+        hooks: [billingHook({ namespace: 'billing' }, {
+            'config/policies.js': 'module.exports.policies = { \'invoice/*\': \'isBilled\' };',
+        })],
+        files: {
+            'config/policies.js': 'module.exports.policies = { \'billing/invoice/*\': true };',
+        },
+    }, async sails => {
+        expect(await testing.request(sails, 'GET /billing/invoices')).to.deep.equal({ status: 200, body: 'invoices' });
+    }));
+
+});
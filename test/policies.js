@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook policies', () => {
+
+    // A hook guarding the app's widget actions with its own policy, by default.
+    const guardHook = (barmecide = {}) => ({
+        name: 'guard',
+        package: {},
+        files: {
+            'api/policies/isGuarded.js': 'module.exports = (req, res) => res.status(403).send(\'guarded by hook\');',
+            'config/policies.js': 'module.exports.policies = { \'widget/*\': \'isGuarded\' };',
+            'config/guard.js': `module.exports.guard = { barmecide: ${JSON.stringify(barmecide)} };`,
+        },
+    });
+    const appFiles = (files = {}) => Object.assign({
+        'api/controllers/WidgetController.js': 'module.exports = { hello: (req, res) => res.ok(\'hello\') };',
+        'config/routes.js': 'module.exports.routes = { \'GET /hello\': \'widget/hello\' };',
+    }, files);
+
+    const withApp = async (options, fn) => {
+        const sails = await testing.lift(options);
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('registers hook policies and applies their default mappings', () => withApp({ hooks: [guardHook()], files: appFiles() }, async sails => {
+        expect(sails.config.policies.moduleDefinitions).to.have.property('isguarded');
+        expect(sails.config.policies['widget/*']).to.deep.equal(['isguarded']);
+        expect(await testing.request(sails, 'GET /hello')).to.deep.equal({ status: 403, body: 'guarded by hook' });
+    }));
+
+    it('lets the app override default mappings', () => withApp({
+        hooks: [guardHook()],
+        files: appFiles({ 'config/policies.js': 'module.exports.policies = { \'widget/*\': true };' }),
+    }, async sails => {
+        expect(sails.config.policies['widget/*']).to.deep.equal([true]);
+        expect(await testing.request(sails, 'GET /hello')).to.deep.equal({ status: 200, body: 'hello' });
+    }));
+
+    it('keeps the app\'s own policy by the same name', () => withApp({
+        hooks: [guardHook()],
+        files: appFiles({ 'api/policies/isGuarded.js': 'module.exports = (req, res, proceed) => proceed();' }),
+    }, async sails => {
+        expect(await testing.request(sails, 'GET /hello')).to.deep.equal({ status: 200, body: 'hello' });
+    }));
+
+    it('namespaces policies and their default mappings, where desired', () => withApp({
+        hooks: [guardHook({ namespacePolicies: true })],
+        files: appFiles(),
+    }, async sails => {
+        expect(sails.config.policies.moduleDefinitions).to.have.property('guard/isguarded');
+        expect(sails.config.policies.moduleDefinitions).to.not.have.property('isguarded');
+        expect(sails.config.policies['widget/*']).to.deep.equal(['guard/isguarded']);
+        expect(await testing.request(sails, 'GET /hello')).to.deep.equal({ status: 403, body: 'guarded by hook' });
+    }));
+
+});
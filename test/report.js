@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const _ = require('lodash');
+const testing = require('../lib/testing');
+const vanity = require('../lib/vanity');
+
+describe('load report', () => {
+
+    // A hook which holds onto the report it's given by the `barmecide:ready` event.
+    const readyHook = {
+        name: 'ready',
+        package: { version: '2.1.0', sails: { barmecide: { loadAfter: ['missing'] } } },
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class ReadyHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                        sails.on('barmecide:ready', report => {
+                            sails.readyReport = report;
+                        });
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(ReadyHook);
+            `,
+            'api/models/Ticket.js': 'module.exports = { attributes: { title: { type: \'string\' } } };',
+            'api/services/TicketService.js': 'module.exports = { open() {} };',
+        },
+    };
+
+    const withApp = async (config, fn) => {
+        // The hook's unknown loadAfter entry is warned about, which needn't clutter the test output.
+        const sails = await testing.lift({ hooks: [readyHook], config: Object.assign({ log: testing.recordLog().config }, config) });
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('describes each hook once loading has finished', () => withApp({}, async sails => {
+        const report = sails.barmecide.report;
+        expect(sails.readyReport).to.equal(report);
+        expect(report.hooks).to.have.lengthOf(1);
+
+        const hook = report.hooks[0];
+        expect(hook).to.include({ name: 'ready', packageName: 'ready', version: '2.1.0', isMainHook: true, isDependencyHook: false, status: 'OK' });
+        expect(hook.timings.total).to.be.a('number').and.at.least(0);
+        expect(hook.items).to.include({ models: 1, services: 1 });
+        expect(hook.error).to.equal(undefined);
+        expect(JSON.parse(JSON.stringify(report)).hooks[0]).to.deep.equal(_.omitBy(hook, _.isUndefined));
+    }));
+
+    it('collects the warnings raised while loading each hook', () => withApp({}, async sails => {
+        const message = 'Hook "ready" lists "missing" under loadAfter, but no such hook is being loaded, so it won\'t wait on it.';
+        expect(sails.barmecide.report.hooks[0].warnings).to.deep.equal([message]);
+        expect(sails.barmecide.report.warnings).to.deep.equal([{ hook: 'ready', message }]);
+    }));
+
+    describe('logging', () => {
+        const liftLogging = async format => {
+            const log = testing.recordLog('info');
+            await withApp({ log: log.config, barmecide: { report: format } }, async () => {});
+            return log.infos.find(line => line.startsWith('[Barmecide] Loaded hooks summary:'));
+        };
+
+        it('logs a summary table by default', async () => {
+            const summary = await liftLogging(undefined);
+            expect(summary).to.match(/Name\s+\|\s+Status/);
+            expect(summary).to.match(/ready\s+\|\s+OK/);
+        });
+
+        it('logs a line per hook with the "compact" format', async () => {
+            const summary = await liftLogging('compact');
+            expect(summary.split('\n')[1]).to.match(/^ready@2\.1\.0 OK main \d+ms .*models=1 .*warnings=1$/);
+        });
+
+        it('logs the report as JSON with the "json" format', async () => {
+            const summary = await liftLogging('json');
+            expect(JSON.parse(summary.split('\n')[1]).hooks[0].name).to.equal('ready');
+        });
+
+        it('logs whatever a custom render function returns', async () => {
+            const summary = await liftLogging(report => `${report.hooks.length} hook(s)`);
+            expect(summary).to.equal('[Barmecide] Loaded hooks summary:\n1 hook(s)');
+        });
+
+        it('skips logging the report when disabled', async () => {
+            expect(await liftLogging(false)).to.equal(undefined);
+        });
+    });
+
+    it('refuses to render unknown formats', () => {
+        expect(() => vanity.renderLoadReport({ hooks: [] }, 'xml')).to.throw('Unknown load report format "xml"');
+    });
+
+});
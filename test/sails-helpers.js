@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook helpers', () => {
+
+    const helper = result => `module.exports = {
+        friendlyName: 'Fixture helper',
+        inputs: { text: { type: 'string', required: true } },
+        fn: async function (inputs, exits) {
+            return exits.success(${result});
+        },
+    };`;
+    const textHook = (barmecide = {}) => ({
+        name: 'text',
+        files: {
+            'api/helpers/shout.js': helper('inputs.text.toUpperCase()'),
+            'api/helpers/format/wrap-quotes.js': helper('`"${inputs.text}"`'),
+            'config/text.js': `module.exports.text = { barmecide: ${JSON.stringify(barmecide)} };`,
+        },
+    });
+
+    const withApp = async (options, fn) => {
+        const sails = await testing.lift(options);
+        try {
+            await fn(sails);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('registers hook helpers alongside the app\'s own, including nested helpers', () => withApp({
+        hooks: [textHook()],
+        files: { 'api/helpers/whisper.js': helper('inputs.text.toLowerCase()') },
+    }, async sails => {
+        expect(await sails.helpers.shout.with({ text: 'hi' })).to.equal('HI');
+        expect(await sails.helpers.format.wrapQuotes.with({ text: 'hi' })).to.equal('"hi"');
+        expect(await sails.helpers.whisper.with({ text: 'HI' })).to.equal('hi');
+    }));
+
+    it('keeps the app\'s own helper by the same name, with a warning', () => {
+        const log = testing.recordLog();
+        return withApp({
+            hooks: [textHook()],
+            files: { 'api/helpers/shout.js': helper('`${inputs.text}!`') },
+            config: { log: log.config },
+        }, async sails => {
+            expect(await sails.helpers.shout.with({ text: 'hi' })).to.equal('hi!');
+            expect(log.warnings.join('\n')).to.include('Skipping helper "sails.helpers.shout"');
+        });
+    });
+
+    it('nests helpers beneath the hook identity, where desired', () => withApp({
+        hooks: [textHook({ namespaceHelpers: true })],
+    }, async sails => {
+        expect(await sails.helpers.text.shout.with({ text: 'hi' })).to.equal('HI');
+        expect(await sails.helpers.text.format.wrapQuotes.with({ text: 'hi' })).to.equal('"hi"');
+        expect(sails.helpers.shout).to.equal(undefined);
+    }));
+
+    it('skips helpers, where merging them is disabled', () => withApp({
+        hooks: [textHook({ helpers: false })],
+    }, async sails => {
+        expect(sails.helpers.shout).to.equal(undefined);
+    }));
+
+});
@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('Sails hook injection', () => {
+
+    // A normal Sails hook, noting the order in which hooks were initialized.
+    const sailsHook = (name, hookFunc = '') => ({
+        name,
+        files: {
+            'index.js': `
+                module.exports = sails => ({
+                    initialize(done) {
+                        (global.initOrder = global.initOrder || []).push(this.identity);
+                        done();
+                    },
+                });
+                ${hookFunc}
+            `,
+        },
+    });
+
+    // A Barmecide hook depending on the given (nested) hooks, noting the order in which it was initialized too.
+    const parentHook = hooks => ({
+        name: 'parent',
+        package: { dependencies: hooks.reduce((deps, hook) => Object.assign(deps, { [hook.name]: '^1.0.0' }), {}) },
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class ParentHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    async initialize() {
+                        (global.initOrder = global.initOrder || []).push('parent');
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(ParentHook);
+            `,
+        },
+        hooks,
+    });
+
+    const withApp = async (hooks, config, fn) => {
+        const sails = await testing.lift({ hooks: [parentHook(hooks)], config });
+        try {
+            await fn(sails, global.initOrder || []);
+        } finally {
+            delete global.initOrder;
+            await testing.lower(sails);
+        }
+    };
+
+    it('leaves normal hooks be by default', () => withApp([sailsHook('sails-hook-cron')], {}, async (sails, initOrder) => {
+        expect(sails.hooks).not.to.have.property('cron');
+        expect(sails.barmecide.sailsHooks).to.have.lengthOf(0);
+        expect(initOrder).to.deep.equal(['parent']);
+    }));
+
+    it('injects every normal hook where enabled, ahead of the hooks depending on them', () => withApp(
+        [sailsHook('sails-hook-cron'), sailsHook('@acme/sails-hook-mailer')],
+        { barmecide: { injectSailsHooks: true } },
+        async (sails, initOrder) => {
+            expect(sails.hooks.cron.identity).to.equal('cron');
+            expect(sails.hooks.mailer.identity).to.equal('mailer');
+            expect(sails.barmecide.sailsHooks.map(hook => hook.name)).to.have.members(['cron', 'mailer']);
+            expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['parent']);
+            expect(sails.barmecide.report.hooks.map(hook => hook.name)).to.deep.equal(['parent']);
+            expect(initOrder.indexOf('parent')).to.be.above(initOrder.indexOf('cron'));
+            expect(initOrder.indexOf('parent')).to.be.above(initOrder.indexOf('mailer'));
+        },
+    ));
+
+    it('only injects allowed hooks which aren\'t denied, by hook or package name', () => withApp(
+        [sailsHook('sails-hook-cron'), sailsHook('sails-hook-mailer'), sailsHook('sails-hook-webpack')],
+        { barmecide: { injectSailsHooks: { allow: ['cron', 'sails-hook-webpack'], deny: 'sails-hook-webpack' } } },
+        async sails => {
+            expect(sails.barmecide.sailsHooks.map(hook => hook.name)).to.deep.equal(['cron']);
+            expect(sails.hooks).to.have.property('cron');
+            expect(sails.hooks).not.to.have.property('mailer');
+            expect(sails.hooks).not.to.have.property('webpack');
+        },
+    ));
+
+    it('gives injected hooks their config key just as Sails does', () => withApp(
+        [
+            sailsHook('sails-hook-cron'),
+            sailsHook('sails-hook-mailer', 'module.exports.configKey = \'mail\';'),
+            sailsHook('sails-hook-webpack', 'module.exports.configKey = \'bundler\';'),
+        ],
+        {
+            barmecide: { injectSailsHooks: true },
+            installedHooks: { 'sails-hook-webpack': { configKey: 'assets' } },
+        },
+        async sails => {
+            expect(sails.hooks.cron.configKey).to.equal('cron');
+            expect(sails.hooks.mailer.configKey).to.equal('mail');
+            expect(sails.hooks.webpack.configKey).to.equal('assets');
+        },
+    ));
+
+    it('fails the lift where the setting is invalid', async () => {
+        const log = testing.recordLog();
+        let error;
+        try {
+            await testing.lower(await testing.lift({
+                hooks: [parentHook([sailsHook('sails-hook-cron')])],
+                config: { log: log.config, barmecide: { injectSailsHooks: { allow: ['cron'], only: ['cron'] } } },
+            }));
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal([
+            'Invalid Barmecide config:',
+            '    - "sails.config.barmecide.injectSailsHooks.only" is not a recognised setting.',
+        ].join('\n'));
+    });
+
+});
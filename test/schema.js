@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const schema = require('../lib/schema');
+
+describe('schema', () => {
+
+    describe('validate', () => {
+        it('finds no problems with a valid value', () => {
+            const value = { namespacePolicies: true, timeout: 5000, optional: true };
+            expect(schema.validate(value, schema.BARMECIDE_SCHEMA, 'billing.barmecide')).to.deep.equal([]);
+            expect(schema.validate({ timeout: false }, schema.BARMECIDE_SCHEMA, 'billing.barmecide')).to.deep.equal([]);
+        });
+
+        it('reports values of the wrong type', () => {
+            expect(schema.validate({ timeout: '5s' }, schema.BARMECIDE_SCHEMA, 'billing.barmecide'))
+                .to.deep.equal(['"billing.barmecide.timeout" should be of type number or boolean, but is of type string.']);
+        });
+
+        it('only accepts false where a number may be disabled', () => {
+            expect(schema.validate({ timeout: true }, schema.BARMECIDE_SCHEMA, 'billing.barmecide'))
+                .to.deep.equal(['"billing.barmecide.timeout" should be one of false, but is true.']);
+            expect(schema.validate({ timeout: true, slowHookThreshold: true }, schema.APP_SCHEMA, 'barmecide')).to.deep.equal([
+                '"barmecide.timeout" should be one of false, but is true.',
+                '"barmecide.slowHookThreshold" should be one of false, but is true.',
+            ]);
+            expect(schema.validate({ slowHookThreshold: { bootstrap: false, initialize: true } }, schema.APP_SCHEMA, 'barmecide'))
+                .to.deep.equal(['"barmecide.slowHookThreshold.initialize" should be one of false, but is true.']);
+            expect(schema.validate({ timeout: false, slowHookThreshold: { bootstrap: 100 } }, schema.APP_SCHEMA, 'barmecide')).to.deep.equal([]);
+        });
+
+        it('reports unrecognised keys, suggesting the likely intended key', () => {
+            expect(schema.validate({ contollers: false, frobnicate: true }, schema.BARMECIDE_SCHEMA, 'billing.barmecide')).to.deep.equal([
+                '"billing.barmecide.contollers" is not a recognised setting. Did you mean "controllers"?',
+                '"billing.barmecide.frobnicate" is not a recognised setting.',
+            ]);
+        });
+
+        it('reports values outside of an enum', () => {
+            expect(schema.validate('purple', { type: 'string', enum: ['red', 'green'] }, 'colour'))
+                .to.deep.equal(['"colour" should be one of "red", "green", but is "purple".']);
+        });
+
+        it('checks required keys, additional properties and array items', () => {
+            const itemSchema = {
+                type: 'object',
+                required: ['host'],
+                properties: { host: { type: 'string' } },
+                additionalProperties: { type: 'number' },
+            };
+            const problems = schema.validate([{ host: 'a', port: 80 }, { port: '80' }], { type: 'array', items: itemSchema }, 'servers');
+            expect(problems).to.deep.equal([
+                '"servers[1].host" is required, but is not set.',
+                '"servers[1].port" should be of type number, but is of type string.',
+            ]);
+        });
+
+        it('accepts any one of several forms, reporting against the form of the same type', () => {
+            expect(schema.validate({ conflicts: 'warn' }, schema.APP_SCHEMA, 'barmecide')).to.deep.equal([]);
+            expect(schema.validate({ conflicts: { models: 'error' } }, schema.APP_SCHEMA, 'barmecide')).to.deep.equal([]);
+            expect(schema.validate({ report: 'xml' }, schema.APP_SCHEMA, 'barmecide'))
+                .to.deep.equal(['"barmecide.report" should be one of "table", "compact", "json", but is "xml".']);
+            expect(schema.validate({ conflicts: { modles: 'error' } }, schema.APP_SCHEMA, 'barmecide'))
+                .to.deep.equal(['"barmecide.conflicts.modles" is not a recognised setting. Did you mean "models"?']);
+            expect(schema.validate({ report: 42 }, schema.APP_SCHEMA, 'barmecide'))
+                .to.deep.equal(['"barmecide.report" should be of type string or function or boolean, but is of type number.']);
+        });
+    });
+
+});
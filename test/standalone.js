@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const path = require('path');
+const _ = require('lodash');
+const testing = require('../lib/testing');
+const Barmecide = require('..');
+
+describe('standalone hooks', () => {
+
+    // A hook project to lift standalone, which depends on a hook of its own.
+    const soloHook = {
+        name: 'solo',
+        package: { dependencies: { sidekick: '^1.0.0' } },
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class SoloHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(SoloHook);
+            `,
+            'api/services/SoloService.js': 'module.exports = { whoami: () => \'solo\' };',
+            'api/controllers/SoloController.js': 'module.exports = { hello: (req, res) => res.send(\'hello from solo\') };',
+            'config/solo.js': 'module.exports.solo = { greeting: \'hi\' };',
+            'config/local.js': 'module.exports.solo = { greeting: \'hi, locally\' };',
+            'config/routes.js': 'module.exports.routes = { \'GET /hello\': \'solo/hello\' };',
+            'config/bootstrap.js': 'module.exports.bootstrap = done => { global.soloBootstraps = (global.soloBootstraps || 0) + 1; return done(); };',
+        },
+        hooks: [{
+            name: 'sidekick',
+            files: {
+                'api/services/SidekickService.js': 'module.exports = { help: () => \'helping\' };',
+            },
+        }],
+    };
+
+    // Lifts the given hook (or hook class) standalone, with the options given.
+    const liftStandalone = (Hook, options) => new Promise((resolve, reject) => {
+        Barmecide.lift(Hook, options, (err, sails) => (err ? reject(err) : resolve(sails)));
+    });
+
+    let app;
+    let hookPath;
+    let config;
+
+    beforeEach(async () => {
+        app = testing.createApp({ hooks: [soloHook] });
+        hookPath = path.join(app.appPath, 'node_modules', 'solo');
+        // The hook project has no ORM of its own to load.
+        config = _.merge({}, testing.DEFAULT_CONFIG, { port: await testing.findFreePort(), hooks: { orm: false } });
+    });
+    afterEach(() => {
+        delete global.soloBootstraps;
+        app.cleanup();
+    });
+
+    it('lifts the hook project as an app, along with the hook and its own dependencies', async () => {
+        const hookFunc = require(path.join(hookPath, 'index.js'));
+        const sails = await liftStandalone(hookFunc, config);
+        try {
+            expect(path.resolve(sails.config.appPath)).to.equal(path.resolve(hookPath));
+            expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['sidekick', 'solo']);
+            expect(sails.barmecide.report.hooks.map(hook => hook.status)).to.deep.equal(['OK', 'OK']);
+            expect(sails.barmecide.findHook('solo').instance.isStandalone).to.equal(true);
+
+            // The project's own api and config are loaded by Sails, local config and all, with its bootstrap run just once.
+            expect(sails.services.soloservice.whoami()).to.equal('solo');
+            expect(sails.services.sidekickservice.help()).to.equal('helping');
+            expect(sails.config.solo.greeting).to.equal('hi, locally');
+            expect(global.soloBootstraps).to.equal(1);
+            expect(await testing.request(sails, 'GET /hello')).to.deep.equal({ status: 200, body: 'hello from solo' });
+        } finally {
+            await new Promise(resolve => sails.lower(resolve));
+        }
+    });
+
+    it('finds the hook project from the hook class too', async () => {
+        const sails = await liftStandalone(require(path.join(hookPath, 'index.js')).Hook, config);
+        try {
+            expect(path.resolve(sails.config.appPath)).to.equal(path.resolve(hookPath));
+        } finally {
+            await new Promise(resolve => sails.lower(resolve));
+        }
+    });
+
+    it('refuses to lift anything which isn\'t a hook project', () => {
+        expect(() => Barmecide.lift(class NotAHook {}, { appPath: app.appPath }))
+            .to.throw(`Unable to find a Barmecide hook project to lift at "${app.appPath}".`);
+    });
+
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook teardown', () => {
+
+    // A hook with the given teardown (and initialize) methods, noting down the order hooks are torn down in.
+    const teardownHook = (name, teardown = 'teardown(done) { return done(); }', pkg = {}, initialize = '') => ({
+        name,
+        package: pkg,
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class TeardownHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    ${initialize}
+                    ${teardown.replace('{', `{ (global.teardownOrder = global.teardownOrder || []).push('${name}');`)}
+                }
+                module.exports = Barmecide.createSailsHook(TeardownHook);
+            `,
+        },
+    });
+
+    afterEach(() => {
+        delete global.teardownOrder;
+    });
+
+    const liftAndLower = async (hooks, config = {}) => {
+        const log = testing.recordLog();
+        const sails = await testing.lift({ hooks, config: Object.assign({ log: log.config }, config) });
+        const lowered = [];
+        sails.barmecide.hooksListing.forEach(hook => sails.on(`barmecide:hooks:${hook.name}:lowered`, err => lowered.push({ name: hook.name, err })));
+        await testing.lower(sails);
+        return { sails, log, lowered, order: global.teardownOrder || [] };
+    };
+
+    it('tears hooks down in reverse load order, marking them as stopped', async () => {
+        const { sails, lowered, order } = await liftAndLower([
+            teardownHook('queue', undefined, { dependencies: { store: '^1.0.0' } }),
+            teardownHook('store'),
+        ]);
+        expect(sails.barmecide.hooksListing.map(hook => hook.name)).to.deep.equal(['store', 'queue']);
+        expect(order).to.deep.equal(['queue', 'store']);
+        expect(lowered).to.deep.equal([{ name: 'queue', err: undefined }, { name: 'store', err: undefined }]);
+        testing.assertHookLoaded(sails, 'queue', 'Stopped');
+        testing.assertHookLoaded(sails, 'store', 'Stopped');
+        expect(sails.barmecide.report.hooks[0].timings.phases.teardown).to.be.a('number');
+    });
+
+    it('accepts promises from async teardowns', async () => {
+        const { sails, order } = await liftAndLower([
+            teardownHook('queue', 'async teardown() { await new Promise(resolve => setTimeout(resolve, 10)); }'),
+        ]);
+        expect(order).to.deep.equal(['queue']);
+        testing.assertHookLoaded(sails, 'queue', 'Stopped');
+    });
+
+    it('logs failing teardowns, carrying on with the other hooks', async () => {
+        const { log, lowered, order } = await liftAndLower([
+            teardownHook('queue', 'teardown(done) { return done(new Error(\'queue stuck\')); }', { dependencies: { store: '^1.0.0' } }),
+            teardownHook('store'),
+        ]);
+        expect(order).to.deep.equal(['queue', 'store']);
+        expect(lowered[0].err.message).to.equal('queue stuck');
+        expect(log.errors.join('\n')).to.include('Hook "queue" failed to tear down:');
+    });
+
+    it('times out teardowns which never call back', async () => {
+        const { lowered, order } = await liftAndLower([
+            teardownHook('queue', 'teardown(done) {}'),
+        ], { queue: { barmecide: { timeout: 50 } } });
+        expect(order).to.deep.equal(['queue']);
+        expect(lowered[0].err.message).to.equal('Hook "queue" timed out during teardown, as it didn\'t call back within 50ms.');
+    });
+
+    it('tears hooks down where the lift failed', async () => {
+        const log = testing.recordLog();
+        let error;
+        try {
+            await testing.lift({
+                hooks: [teardownHook('queue', undefined, {}, 'initialize(done) { return done(new Error(\'no queue\')); }')],
+                config: { log: log.config },
+            });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('no queue');
+        expect(global.teardownOrder).to.deep.equal(['queue']);
+    });
+
+});
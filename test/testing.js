@@ -0,0 +1,100 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const testing = require('../lib/testing');
+
+describe('testing', () => {
+
+    // A hook contributing a little of everything, which notes down when it has been torn down.
+    const fixtureHook = {
+        name: 'widgets',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class WidgetsHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    teardown(done) {
+                        this.sails.widgetsTornDown = true;
+                        return done();
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(WidgetsHook);
+            `,
+            'api/models/Widget.js': 'module.exports = { attributes: { name: { type: \'string\' } } };',
+            'api/services/WidgetService.js': 'module.exports = { describe: widget => `${widget.name} widget` };',
+            'config/widgets.js': 'module.exports.widgets = { colour: \'blue\' };',
+        },
+    };
+
+    describe('lift', () => {
+        let sails;
+        let appPath;
+
+        before(async () => {
+            sails = await testing.lift({ hooks: [fixtureHook] });
+            appPath = sails.barmecideTestApp.appPath;
+        });
+
+        after(() => testing.lower(sails));
+
+        it('lifts an app with the given hooks loaded', () => {
+            expect(sails.barmecideTestApp.hooks).to.deep.equal(['widgets']);
+            testing.assertHookLoaded(sails, 'widgets');
+            testing.assertModelContributed(sails, 'widgets', 'widget');
+            testing.assertServiceContributed(sails, 'widgets', 'widgetservice');
+            testing.assertConfigContributed(sails, 'widgets', 'widgets.colour');
+        });
+
+        it('lifts on a port of its own, with a working datastore', async () => {
+            expect(sails.config.port).to.be.a('number').and.not.equal(1337);
+            const widget = await sails.models.widget.create({ name: 'Sprocket' }).fetch();
+            expect(sails.services.widgetservice.describe(widget)).to.equal('Sprocket widget');
+            expect(await sails.models.widget.count()).to.equal(1);
+        });
+
+        it('fails assertions about anything which wasn\'t contributed', () => {
+            expect(() => testing.assertHookLoaded(sails, 'gadgets')).to.throw('Expected hook "gadgets" to be known to Barmecide, but it isn\'t.');
+            expect(() => testing.assertModelContributed(sails, 'widgets', 'gadget')).to.throw();
+        });
+
+        it('lifts a second app alongside the first, keeping their datastores apart', async () => {
+            const other = await testing.lift({ hooks: [fixtureHook] });
+            try {
+                expect(other.config.port).to.not.equal(sails.config.port);
+                expect(await other.models.widget.count()).to.equal(0);
+                expect(await sails.models.widget.count()).to.equal(1);
+            } finally {
+                await testing.lower(other);
+            }
+        });
+
+        it('tears hooks down and removes the app once lowered', async () => {
+            const other = await testing.lift({ hooks: [fixtureHook] });
+            const otherPath = other.barmecideTestApp.appPath;
+            await testing.lower(other);
+            expect(other.widgetsTornDown).to.equal(true);
+            testing.assertHookLoaded(other, 'widgets', 'Stopped');
+            expect(fs.existsSync(otherPath)).to.equal(false);
+            expect(fs.existsSync(appPath)).to.equal(true);
+        });
+    });
+
+    describe('lift failures', () => {
+        it('rejects, cleaning up after itself, when the app fails to lift', async () => {
+            const listApps = () => fs.readdirSync(os.tmpdir()).filter(entry => entry.startsWith('barmecide-test-'));
+            const appsBefore = listApps();
+            let error;
+            try {
+                await testing.lift({ hooks: [fixtureHook], config: { barmecide: { report: 'xml' } } });
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.an('error');
+            expect(error.message).to.include('"sails.config.barmecide.report" should be one of');
+            expect(listApps()).to.deep.equal(appsBefore);
+        });
+    });
+
+});
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const testing = require('../lib/testing');
+
+describe('hook timeouts', () => {
+
+    // A hook which takes the given milliseconds to initialize, or never initializes at all given `null`.
+    const slowpokeHook = delay => ({
+        name: 'slowpoke',
+        files: {
+            'index.js': `
+                const Barmecide = require('barmecide');
+                class SlowpokeHook extends Barmecide.Hook {
+                    constructor(sails) {
+                        super(sails, module);
+                    }
+                    initialize(done) {
+                        ${(delay === null) ? '' : `setTimeout(done, ${delay});`}
+                    }
+                }
+                module.exports = Barmecide.createSailsHook(SlowpokeHook);
+            `,
+        },
+    });
+
+    const liftSlowpoke = (delay, config, log = testing.recordLog()) => testing.lift({
+        hooks: [slowpokeHook(delay)],
+        config: Object.assign({ log: log.config }, config),
+    });
+
+    const withSlowpoke = async (delay, config, fn) => {
+        const log = testing.recordLog('info');
+        const sails = await liftSlowpoke(delay, config, log);
+        try {
+            await fn(sails, log);
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('fails an optional hook which never calls back, once its timeout elapses', () => withSlowpoke(null, {
+        slowpoke: { barmecide: { optional: true, timeout: 50 } },
+    }, async sails => {
+        const hook = sails.barmecide.report.hooks[0];
+        expect(hook.status).to.equal('Failed');
+        expect(hook.error.message).to.equal('Hook "slowpoke" timed out during initialize, as it didn\'t call back within 50ms.');
+    }));
+
+    it('falls back to the global timeout', () => withSlowpoke(null, {
+        barmecide: { timeout: 50 },
+        slowpoke: { barmecide: { optional: true } },
+    }, async sails => {
+        expect(sails.barmecide.report.hooks[0].error.message).to.include('within 50ms');
+    }));
+
+    it('prefers the hook\'s own timeout over the global one', () => withSlowpoke(100, {
+        barmecide: { timeout: 20 },
+        slowpoke: { barmecide: { optional: true, timeout: 1000 } },
+    }, async sails => {
+        expect(sails.barmecide.report.hooks[0].status).to.equal('OK');
+    }));
+
+    it('never times out where the timeout is disabled', () => withSlowpoke(100, {
+        barmecide: { timeout: 20 },
+        slowpoke: { barmecide: { optional: true, timeout: false } },
+    }, async sails => {
+        expect(sails.barmecide.report.hooks[0].status).to.equal('OK');
+    }));
+
+    it('ignores a hook calling back once it has already timed out', () => withSlowpoke(100, {
+        slowpoke: { barmecide: { optional: true, timeout: 20 } },
+    }, async sails => {
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(sails.barmecide.report.hooks[0].status).to.equal('Failed');
+        expect(sails.hooks.slowpoke).to.be.an('object');
+    }));
+
+    it('fails the lift when a hook which isn\'t optional times out', async () => {
+        let error;
+        await liftSlowpoke(null, { barmecide: { timeout: 50 } }).catch(err => {
+            error = err;
+        });
+        expect(error).to.be.an('error');
+        expect(error.message).to.equal('Hook "slowpoke" timed out during initialize, as it didn\'t call back within 50ms.');
+    });
+
+    it('logs the hooks still loading, along with their phase', () => withSlowpoke(150, {
+        barmecide: { pendingLogInterval: 40 },
+    }, async (sails, log) => {
+        expect(log.infos).to.include('[Barmecide] Still waiting on hooks to finish loading: slowpoke (initialize)');
+    }));
+
+    it('never logs the hooks still loading where disabled', () => withSlowpoke(150, {
+        barmecide: { pendingLogInterval: false },
+    }, async (sails, log) => {
+        expect(log.infos.filter(line => line.includes('Still waiting'))).to.deep.equal([]);
+    }));
+
+});
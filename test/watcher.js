@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testing = require('../lib/testing');
+const watcher = require('../lib/watcher');
+
+describe('watcher', () => {
+
+    // A hook providing a little of everything which may be hot reloaded.
+    const liveHook = {
+        name: 'live',
+        files: {
+            'api/services/PingService.js': 'module.exports = { ping: () => 1 };',
+            'api/models/Ticket.js': 'module.exports = { attributes: { title: { type: \'string\' } } };',
+            'api/model-extensions/Ticket.js': 'module.exports = { attributes: { reporter: { type: \'string\' } } };',
+            'api/controllers/LiveController.js': 'module.exports = { ping: (req, res) => res.send(\'hook\') };',
+            'config/live.js': 'module.exports.live = { colour: \'red\', size: \'small\' };',
+        },
+    };
+    // The app's own controller, colliding with the hook's.
+    const appFiles = {
+        'api/controllers/LiveController.js': 'module.exports = { ping: (req, res) => res.send(\'app\') };',
+    };
+
+    const withApp = async (config, fn) => {
+        const log = testing.recordLog('info');
+        const sails = await testing.lift({
+            hooks: [liveHook],
+            files: appFiles,
+            config: Object.assign({ log: log.config, routes: { 'GET /ping': 'live/ping' } }, config),
+        });
+        const hook = sails.barmecide.findHook('live').instance;
+        const write = (file, contents) => fs.writeFileSync(path.join(hook.path, file), contents);
+        try {
+            await fn(sails, { hook, log, write });
+        } finally {
+            await testing.lower(sails);
+        }
+    };
+
+    it('reloads services as their files change', () => withApp({ barmecide: { watch: true } }, async (sails, { log, write }) => {
+        expect(sails.services.pingservice.ping()).to.equal(1);
+        write('api/services/PingService.js', 'module.exports = { ping: () => 2 };');
+
+        // Give the watcher a moment to notice, and debounce.
+        for (let i = 0; (i < 40) && (sails.services.pingservice.ping() !== 2); i++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(sails.services.pingservice.ping()).to.equal(2);
+        expect(log.infos).to.include('[Barmecide] Reloaded services from hook "live" (api/services/PingService.js).');
+    }));
+
+    describe('reload', () => {
+        it('reloads config, leaving the app\'s own keys alone', () => withApp({ live: { size: 'large' } }, async (sails, { hook, write }) => {
+            write('config/live.js', 'module.exports.live = { colour: \'blue\', size: \'tiny\', shape: \'round\' };');
+            await watcher.reload(sails, hook, ['config/live.js']);
+            expect(sails.config.live).to.deep.equal({ colour: 'blue', size: 'large', shape: 'round' });
+        }));
+
+        it('reloads models, then the ORM', () => withApp({}, async (sails, { hook, write }) => {
+            write('api/models/Ticket.js', 'module.exports = { attributes: { title: { type: \'string\' }, priority: { type: \'number\' } } };');
+            await watcher.reload(sails, hook, ['api/models/Ticket.js']);
+            expect(sails.models.ticket.attributes).to.have.property('priority');
+            expect(sails.barmecide.getModelDefinition('ticket').attributes.priority).to.deep.equal({ type: 'number' });
+            const ticket = await sails.models.ticket.create({ title: 'Broken', priority: 1 }).fetch();
+            expect(ticket.priority).to.equal(1);
+        }));
+
+        it('reloads model extensions along with the models', () => withApp({}, async (sails, { hook, write }) => {
+            write('api/model-extensions/Ticket.js', 'module.exports = { attributes: { assignee: { type: \'string\' } } };');
+            await watcher.reload(sails, hook, ['api/model-extensions/Ticket.js']);
+            expect(sails.models.ticket.attributes).to.have.property('assignee');
+            expect(sails.models.ticket.attributes).not.to.have.property('reporter');
+            expect(sails.barmecide.provenance.models.ticket.extensions).to.deep.equal(['live']);
+        }));
+
+        it('reloads actions, without warning about known collisions again', () => withApp({}, async (sails, { hook, log, write }) => {
+            const collision = '[Barmecide] Action "live/ping" is provided by both "app" and "live".';
+            expect(log.warnings.filter(line => line === collision)).to.have.lengthOf(1);
+
+            write('api/controllers/LiveController.js', 'module.exports = { ping: (req, res) => res.send(\'hook\'), pong: (req, res) => res.send(\'pong\') };');
+            await watcher.reload(sails, hook, ['api/controllers/LiveController.js']);
+            await watcher.reload(sails, hook, ['api/controllers/LiveController.js']);
+
+            expect(log.warnings.filter(line => line === collision)).to.have.lengthOf(1);
+            expect(sails.getActions()).to.have.property('live/pong');
+            expect(await testing.request(sails, 'GET /ping')).to.deep.equal({ status: 200, body: 'app' });
+        }));
+
+        it('asks for a restart where changes can\'t be hot reloaded', () => withApp({}, async (sails, { hook, log }) => {
+            await watcher.reload(sails, hook, ['api/policies/isLive.js']);
+            expect(log.warnings).to.include('[Barmecide] Changes to api/policies/isLive.js of hook "live" can\'t be hot reloaded; please restart Sails to apply these.');
+        }));
+    });
+
+    describe('watchDirectory', () => {
+        const realWatch = fs.watch;
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'barmecide-watch-'));
+            fs.mkdirSync(path.join(dir, 'nested'));
+            fs.mkdirSync(path.join(dir, 'nested', 'deeper'));
+        });
+        afterEach(() => {
+            fs.watch = realWatch;
+            testing.removeDirectory(dir);
+        });
+
+        it('falls back to watching each directory where recursive watching is unsupported', () => {
+            const watched = [];
+            fs.watch = (target, options, listener) => {
+                if (options.recursive) {
+                    throw Object.assign(new Error('The feature watch recursively is unavailable on the current platform'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+                }
+                watched.push({ target, listener });
+                return { close() {} };
+            };
+
+            const changes = [];
+            const watchers = watcher.watchDirectory(dir, file => changes.push(file));
+            expect(watchers).to.have.lengthOf(3);
+            expect(watched.map(entry => entry.target)).to.deep.equal([dir, path.join(dir, 'nested'), path.join(dir, 'nested', 'deeper')]);
+
+            watched[2].listener('change', 'file.js');
+            expect(changes).to.deep.equal([path.join(dir, 'nested', 'deeper', 'file.js')]);
+        });
+
+        it('passes along any other failure to watch', () => {
+            fs.watch = () => {
+                throw Object.assign(new Error('Too many open files'), { code: 'EMFILE' });
+            };
+            expect(() => watcher.watchDirectory(dir, () => {})).to.throw('Too many open files');
+        });
+    });
+
+});
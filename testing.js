@@ -0,0 +1,4 @@
+/**
+ * Exposes the Barmecide hook testing helpers as `barmecide/testing`.
+ */
+module.exports = require('./lib/testing');